@@ -4,14 +4,21 @@ __COOKIE_PARSER_IMPORT__
 __HELMET_IMPORT__
 __LOGGER_IMPORT__
 __RATE_LIMIT_IMPORT__
+__CONFIG_IMPORT__
 import { ApiError } from "#utils/ApiError.js";
 import { errorHandler } from "#middlewares/errorHandler.middleware.js";
+import { requestId } from "#middlewares/requestId.middleware.js";
+import { apiVersion } from "#middlewares/apiVersion.middleware.js";
 
-__AUTH_IMPORT__
-import healthcheckRouter from "#routes/healthcheck.routes.js";
+__DOCS_IMPORT__
+import v1Router from "#routes/v1/index.js";
+import healthRouter from "#routes/health.routes.js";
 
 const app = express();
 
+// First, so rate-limited requests, logs and errors all carry the request id.
+app.use(requestId);
+
 __HELMET_SETUP__
 __RATE_LIMIT_SETUP__
 __LOGGER_SETUP__
@@ -22,8 +29,13 @@ app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
 __COOKIE_PARSER_SETUP__
 
-__AUTH_ROUTE__
-app.use("/api/v1/healthcheck", healthcheckRouter);
+__DOCS_SETUP__
+
+// One router per API version in src/routes/<version>. apiVersion() adds the deprecation headers
+// once a version is deprecated in src/routes/versions.
+app.use("/api/v1", apiVersion("v1"), __VERSION_LIMITER__v1Router);
+// Liveness and readiness probes for Docker, Kubernetes and load balancers.
+app.use("/health", healthRouter);
 
 app.use((req, res, next) => {
     next(new ApiError(404, `Route not found: ${req.originalUrl}`));
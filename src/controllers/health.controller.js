@@ -0,0 +1,49 @@
+import fs from "fs";
+import { ApiResponse } from "#utils/ApiResponse.js";
+import { asyncHandler } from "#utils/asyncHandler.js";
+import { runHealthChecks } from "#utils/healthChecks.js";
+
+// Resolves to the project root from both src/controllers and the compiled dist/controllers.
+const { version } = JSON.parse(fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8"));
+
+const toMegabytes = (bytes) => Math.round((bytes / 1024 / 1024) * 10) / 10;
+
+const getProcessInfo = () => {
+    const { rss, heapTotal, heapUsed } = process.memoryUsage();
+
+    return {
+        version,
+        uptime: Math.round(process.uptime()),
+        memory: {
+            rssMb: toMegabytes(rss),
+            heapTotalMb: toMegabytes(heapTotal),
+            heapUsedMb: toMegabytes(heapUsed),
+        },
+    };
+};
+
+// Liveness only says the process can still serve requests, so it never touches dependencies.
+// A failing database should take the app out of rotation, not get it restarted.
+const liveness = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { status: "UP", uptime: Math.round(process.uptime()) }, "App is alive"));
+});
+
+const readiness = asyncHandler(async (req, res) => {
+    const checks = await runHealthChecks();
+    const ready = Object.values(checks).every((check) => check.status === "UP");
+    const statusCode = ready ? 200 : 503;
+
+    return res
+        .status(statusCode)
+        .json(
+            new ApiResponse(
+                statusCode,
+                { status: ready ? "UP" : "DOWN", checks, ...getProcessInfo() },
+                ready ? "App is ready" : "App is not ready",
+            ),
+        );
+});
+
+export { liveness, readiness };
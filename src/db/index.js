@@ -1,12 +1,27 @@
 import mongoose from "mongoose";
+import { config } from "#config/index.js";
+import { registerHealthCheck } from "#utils/healthChecks.js";
 
 const connectDB = async () => {
-    if (!process.env.MONGODB_URI) {
+    if (!config.MONGODB_URI) {
         throw new Error("MONGODB_URI must be set before connecting to MongoDB.");
     }
 
-    const connectionInstance = await mongoose.connect(process.env.MONGODB_URI);
+    const connectionInstance = await mongoose.connect(config.MONGODB_URI);
     console.log(`MongoDB connected. Host: ${connectionInstance.connection.host}`);
 };
 
+// Readiness fails while the connection is anything but connected, e.g. while the driver reconnects.
+registerHealthCheck("mongodb", async () => {
+    const { readyState } = mongoose.connection;
+
+    if (readyState !== mongoose.ConnectionStates.connected) {
+        throw new Error(`MongoDB connection is ${mongoose.ConnectionStates[readyState]}`);
+    }
+});
+
+export const disconnectDB = async () => {
+    await mongoose.disconnect();
+};
+
 export default connectDB;
@@ -0,0 +1,74 @@
+import { apiVersions } from "#routes/versions.js";
+
+const toDate = (value, option) => {
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`deprecate(): ${option} "${value}" is not a valid date`);
+    }
+
+    return date;
+};
+
+/**
+ * Announces that the routes it runs on are going away:
+ *
+ * - `since` (required): when they were deprecated, sent as `Deprecation: @<unix time>` (RFC 9745).
+ * - `sunset`: when they stop working, sent as an HTTP date in `Sunset` (RFC 8594).
+ * - `successor`: where clients should move to, as `Link: <url>; rel="successor-version"`.
+ * - `link`: a page explaining the change, as `Link: <url>; rel="deprecation"`.
+ *
+ * Use it on single routes, e.g. `router.get("/old", deprecate({ since: "2026-01-01" }), handler)`;
+ * whole versions are deprecated in src/routes/versions.js.
+ */
+const deprecate = ({ since, sunset, successor, link } = {}) => {
+    if (!since) {
+        throw new Error("deprecate() needs the date the route was deprecated (since)");
+    }
+
+    const deprecation = `@${Math.floor(toDate(since, "since").getTime() / 1000)}`;
+    const sunsetDate = sunset ? toDate(sunset, "sunset").toUTCString() : undefined;
+    const links = [
+        ...(successor ? [`<${successor}>; rel="successor-version"`] : []),
+        ...(link ? [`<${link}>; rel="deprecation"`] : []),
+    ];
+
+    return (req, res, next) => {
+        res.set("Deprecation", deprecation);
+
+        if (sunsetDate) {
+            res.set("Sunset", sunsetDate);
+        }
+
+        if (links.length > 0) {
+            res.append("Link", links);
+        }
+
+        next();
+    };
+};
+
+/**
+ * Runs first on every /api/<version> mount and applies the version's lifecycle from
+ * src/routes/versions.js, so deprecating a version is a one-line change there.
+ */
+const apiVersion = (version) => {
+    const lifecycle = apiVersions[version];
+
+    if (!lifecycle) {
+        throw new Error(`API version "${version}" is missing from src/routes/versions.js`);
+    }
+
+    if (!lifecycle.deprecated) {
+        return (req, res, next) => next();
+    }
+
+    return deprecate({
+        since: lifecycle.deprecated,
+        sunset: lifecycle.sunset,
+        successor: lifecycle.successor ? `/api/${lifecycle.successor}` : undefined,
+        link: lifecycle.link,
+    });
+};
+
+export { apiVersion, deprecate };
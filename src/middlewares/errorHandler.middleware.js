@@ -1,4 +1,45 @@
+import { STATUS_CODES } from 'http';
+import { config } from '#config/index.js';
 import { ApiError } from '#utils/ApiError.js';
+import { getRequestId } from '#utils/requestContext.js';
+import { translateError } from '#utils/errorTranslators.js';
+__ERROR_LOGGER_IMPORT__
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Turns any thrown value into an ApiError: known library errors through the translators,
+ * anything else with its own status code (e.g. http-errors), or a 500.
+ * @param {Error} err
+ */
+const toApiError = (err) => {
+    if (err instanceof ApiError) {
+        return err;
+    }
+
+    const translated = translateError(err);
+    if (translated) {
+        return translated;
+    }
+
+    const statusCode = err.statusCode || err.status || 500;
+
+    // Unexpected errors can carry internal details (queries, file paths), so production hides them.
+    if (statusCode >= 500 && config.NODE_ENV === 'production') {
+        return new ApiError(statusCode, STATUS_CODES[statusCode] || 'Internal Server Error', [], err.stack);
+    }
+
+    return new ApiError(
+        statusCode,
+        err.message || 'Internal Server Error',
+        Array.isArray(err.errors) ? err.errors : [], // Pass down any validation errors
+        err.stack // Keep the original stack trace
+    );
+};
+
+// RFC 7807 problem details, sent when ERROR_FORMAT=problem or the client asks for them.
+const wantsProblemDetails = (req) =>
+    config.ERROR_FORMAT === 'problem' || Boolean(req.get('Accept')?.includes(PROBLEM_CONTENT_TYPE));
 
 /**
  * Global Error Handler Middleware
@@ -8,26 +49,37 @@ import { ApiError } from '#utils/ApiError.js';
  * @param {NextFunction} next
  */
 const errorHandler = (err, req, res, next) => {
-    let error = err;
-
-    // If the error is not an instance of ApiError, transform it into one
-    if (!(error instanceof ApiError)) {
-        const statusCode = error.statusCode ? error.statusCode : 500;
-        const message = error.message || "Internal Server Error";
-        
-        error = new ApiError(
-            statusCode,
-            message,
-            error?.errors || [], // Pass down any validation errors
-            err.stack // Keep the original stack trace
-        );
+    const error = toApiError(err);
+    const stack = config.NODE_ENV === 'development' ? { stack: error.stack } : {};
+    // Lets clients quote the id from the body when reporting a failure; it matches the logs.
+    const requestId = getRequestId();
+
+    if (error.statusCode >= 500 && !(err instanceof ApiError) && config.NODE_ENV !== 'test') {
+        __UNEXPECTED_ERROR_LOG__
+    }
+
+    if (wantsProblemDetails(req)) {
+        return res
+            .status(error.statusCode)
+            .type(PROBLEM_CONTENT_TYPE)
+            .json({
+                type: 'about:blank',
+                title: STATUS_CODES[error.statusCode] || 'Error',
+                status: error.statusCode,
+                detail: error.message,
+                instance: req.originalUrl,
+                ...(error.errors.length > 0 ? { errors: error.errors } : {}),
+                requestId,
+                ...stack
+            });
     }
 
     // Now format the consistent response
     const response = {
         ...error,
         message: error.message,
-        ...(process.env.NODE_ENV === 'development' ? { stack: error.stack } : {})
+        requestId,
+        ...stack
     };
 
     // Send the JSON response
@@ -0,0 +1,216 @@
+import { ApiError } from "#utils/ApiError.js";
+
+const FILTER_OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in"];
+const RESERVED_PARAMS = new Set(["page", "limit", "sort", "fields", "cursor"]);
+
+// Matches the `price[gte]` keys Express 5's default query parser leaves as they are.
+const OPERATOR_KEY = /^(\w+)\[(\w+)\]$/;
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and id.
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+// Cursors come back from clients, so only plain values get through. An object such as
+// { "$ne": null } would otherwise reach the query as an operator.
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const isCursorValue = (value) => value === null || ["string", "number", "boolean"].includes(typeof value);
+
+const decodeCursor = (value) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+        if (!cursor || typeof cursor !== "object" || typeof cursor.id !== "string" || !OBJECT_ID.test(cursor.id)) {
+            return null;
+        }
+
+        // Items without the sort field are encoded without a value; they sort as null.
+        const sortValue = cursor.value ?? null;
+        return isCursorValue(sortValue) ? { value: sortValue, id: cursor.id } : null;
+    } catch {
+        return null;
+    }
+};
+
+const parsePositiveInteger = (value, fallback) => {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// "-createdAt,name" -> [{ field: "createdAt", direction: -1 }, { field: "name", direction: 1 }]
+const parseSort = (value) =>
+    String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .map((item) => ({ field: item.replace(/^[-+]/, ""), direction: item.startsWith("-") ? -1 : 1 }));
+
+// `status=a&status=b` and `status[in]=a,b` both mean "one of".
+const toFilterValue = (operator, value) => {
+    const values = [value].flat().map(String);
+
+    if (operator === "in") {
+        return values.flatMap((item) => item.split(",")).map((item) => item.trim()).filter(Boolean);
+    }
+
+    return values.length > 1 ? values : values[0];
+};
+
+const collectFilters = (query, filterable, problems) => {
+    const filters = [];
+
+    for (const [key, rawValue] of Object.entries(query)) {
+        if (RESERVED_PARAMS.has(key)) {
+            continue;
+        }
+
+        const [, keyField, keyOperator] = OPERATOR_KEY.exec(key) ?? [];
+        const field = keyField ?? key;
+        // The extended query parser (Express 4, or `query parser: "extended"`) nests operators.
+        const operations =
+            keyOperator !== undefined
+                ? [[keyOperator, rawValue]]
+                : rawValue && typeof rawValue === "object" && !Array.isArray(rawValue)
+                  ? Object.entries(rawValue)
+                  : [[Array.isArray(rawValue) ? "in" : "eq", rawValue]];
+
+        if (!filterable.includes(field)) {
+            problems.push({ location: "query", field, message: `Filtering by "${field}" is not allowed` });
+            continue;
+        }
+
+        for (const [operator, value] of operations) {
+            if (!FILTER_OPERATORS.includes(operator)) {
+                problems.push({
+                    location: "query",
+                    field: key,
+                    message: `Unknown operator "${operator}". Use one of: ${FILTER_OPERATORS.join(", ")}`,
+                });
+                continue;
+            }
+
+            filters.push({ field, operator, value: toFilterValue(operator, value) });
+        }
+    }
+
+    return filters;
+};
+
+/**
+ * Parses `?page=&limit=&sort=&fields=` plus filters into `req.listQuery` for list endpoints.
+ * Only the whitelisted fields can be sorted, filtered or selected; anything else is a 400 with
+ * one entry per problem, so clients cannot sort on unindexed or private fields.
+ *
+ * - `sort=-createdAt,name` sorts descending by createdAt, then ascending by name.
+ * - `fields=name,price` selects fields; `selectable` defaults to the sortable and filterable ones.
+ * - `status=active`, `price[gte]=10`, `tags[in]=a,b` filter with eq, ne, gt, gte, lt, lte and in.
+ * - With `cursor: true` the route pages with `?cursor=` (from `meta.nextCursor`) instead of
+ *   `?page=`, which stays fast on large collections. Cursor pagination sorts by a single field.
+ */
+const paginate = ({
+    sortable = [],
+    filterable = [],
+    selectable = [...new Set([...sortable, ...filterable])],
+    defaultSort = "-createdAt",
+    defaultLimit = 20,
+    maxLimit = 100,
+    cursor: cursorMode = false,
+} = {}) => {
+    // The default sort is always allowed, even on a field clients cannot pick themselves.
+    const allowedSort = new Set([...sortable, ...parseSort(defaultSort).map(({ field }) => field)]);
+
+    return (req, res, next) => {
+        const { query } = req;
+        const problems = [];
+
+        const limit = parsePositiveInteger(query.limit, defaultLimit);
+        if (limit === null || limit > maxLimit) {
+            problems.push({ location: "query", field: "limit", message: `Must be a whole number from 1 to ${maxLimit}` });
+        }
+
+        const page = cursorMode ? 1 : parsePositiveInteger(query.page, 1);
+        if (page === null) {
+            problems.push({ location: "query", field: "page", message: "Must be a whole number from 1" });
+        }
+
+        const cursor = cursorMode && query.cursor !== undefined ? decodeCursor(String(query.cursor)) : null;
+        if (cursorMode && query.cursor !== undefined && !cursor) {
+            problems.push({ location: "query", field: "cursor", message: "Is not a valid cursor" });
+        }
+
+        const sort = parseSort(query.sort ?? defaultSort);
+        for (const { field } of sort) {
+            if (!allowedSort.has(field)) {
+                problems.push({ location: "query", field: "sort", message: `Sorting by "${field}" is not allowed` });
+            }
+        }
+        if (cursorMode && sort.length > 1) {
+            problems.push({ location: "query", field: "sort", message: "Cursor pagination sorts by one field" });
+        }
+
+        const fields =
+            query.fields === undefined
+                ? null
+                : String(query.fields)
+                      .split(",")
+                      .map((item) => item.trim())
+                      .filter(Boolean);
+        for (const field of fields ?? []) {
+            if (!selectable.includes(field)) {
+                problems.push({ location: "query", field: "fields", message: `Selecting "${field}" is not allowed` });
+            }
+        }
+
+        const filters = collectFilters(query, filterable, problems);
+
+        if (problems.length > 0) {
+            return next(new ApiError(400, "Invalid query parameters", problems));
+        }
+
+        req.listQuery = {
+            mode: cursorMode ? "cursor" : "page",
+            page,
+            limit,
+            skip: (page - 1) * limit,
+            cursor,
+            sort,
+            fields,
+            filters,
+        };
+
+        return next();
+    };
+};
+
+// Relative URL of the current request with some query parameters replaced.
+const linkTo = (req, params) => {
+    const url = new URL(req.originalUrl, "http://localhost");
+
+    for (const [name, value] of Object.entries(params)) {
+        url.searchParams.set(name, String(value));
+    }
+
+    return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Builds the `links` of a paginated response from its `meta`. Page links keep every other
+ * query parameter, so filters and sorting carry over to the next and previous pages.
+ */
+const buildPageLinks = (req, meta) => {
+    if ("nextCursor" in meta) {
+        return {
+            next: meta.nextCursor ? linkTo(req, { cursor: meta.nextCursor }) : null,
+            prev: null,
+        };
+    }
+
+    return {
+        next: meta.page < meta.totalPages ? linkTo(req, { page: meta.page + 1 }) : null,
+        prev: meta.page > 1 ? linkTo(req, { page: Math.min(meta.page - 1, Math.max(meta.totalPages, 1)) }) : null,
+    };
+};
+
+export { buildPageLinks, decodeCursor, encodeCursor, paginate };
@@ -0,0 +1,12 @@
+import { Router } from "express";
+__AUTH_IMPORT__
+import healthcheckRouter from "#routes/healthcheck.routes.js";
+
+// Everything served under /api/v1. Middleware added here with router.use() runs for this
+// version only.
+const router = Router();
+
+__AUTH_ROUTE__
+router.use("/healthcheck", healthcheckRouter);
+
+export default router;
@@ -1,18 +1,74 @@
 import { app } from "#app.js";
+import { config } from "#config/index.js";
 __DB_IMPORT__
 
-const PORT = Number(process.env.PORT) || 8000;
+// Closed in order once the HTTP server has stopped, such as the database connection.
+const shutdownTasks = [];
+
+let server;
+let shuttingDown = false;
 
 const startServer = () => {
-    app.listen(PORT, () => {
-        console.log(`Server is running on port ${PORT}`);
+    server = app.listen(config.PORT, () => {
+        console.log(`Server is running on port ${config.PORT}`);
     });
 };
 
 __SERVER_STARTUP__
 
+const closeServer = () =>
+    new Promise((resolve, reject) => {
+        if (!server?.listening) {
+            resolve();
+            return;
+        }
+
+        server.close((error) => (error ? reject(error) : resolve()));
+        // Idle keep-alive connections would otherwise hold the server open until they time out.
+        server.closeIdleConnections();
+    });
+
+const shutdown = async (reason, exitCode = 0) => {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log(`${reason} received. Shutting down gracefully...`);
+
+    // Docker sends SIGKILL 10 seconds after SIGTERM, so the default timeout leaves room to spare.
+    const forceExit = setTimeout(() => {
+        console.error(`Shutdown did not finish within ${config.SHUTDOWN_TIMEOUT_MS}ms. Forcing exit.`);
+        process.exit(1);
+    }, config.SHUTDOWN_TIMEOUT_MS);
+    forceExit.unref();
+
+    try {
+        await closeServer();
+        console.log("HTTP server closed. In-flight requests have finished.");
+
+        for (const { name, close } of shutdownTasks) {
+            await close();
+            console.log(`${name} closed.`);
+        }
+    } catch (error) {
+        console.error("Graceful shutdown failed", error);
+        exitCode = 1;
+    }
+
+    process.exit(exitCode);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 process.on("unhandledRejection", (error) => {
     console.error("UNHANDLED REJECTION! Shutting down...");
     console.error(error.name, error.message);
-    process.exit(1);
+    shutdown("unhandledRejection", 1);
+});
+
+process.on("uncaughtException", (error) => {
+    console.error("UNCAUGHT EXCEPTION! Shutting down...");
+    console.error(error.name, error.message);
+    shutdown("uncaughtException", 1);
 });
@@ -7,4 +7,17 @@ class ApiResponse {
     }
 }
 
-export { ApiResponse }
+/**
+ * An ApiResponse for list endpoints. `meta` holds page, limit, total and totalPages (or limit,
+ * hasMore and nextCursor for cursor pagination) and `links` the next and previous page URLs.
+ * paginateModel() returns both as `pagination`.
+ */
+class PaginatedApiResponse extends ApiResponse {
+    constructor(statusCode, data, { meta, links }, message = "Success") {
+        super(statusCode, data, message);
+        this.meta = meta;
+        this.links = links;
+    }
+}
+
+export { ApiResponse, PaginatedApiResponse }
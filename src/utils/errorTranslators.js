@@ -0,0 +1,110 @@
+import { ApiError } from "#utils/ApiError.js";
+
+// Turns errors thrown by libraries (Mongoose, the SQL drivers, jsonwebtoken, express.json) into
+// ApiErrors with the right status code and field-level errors. They are matched on `name`, `code`
+// or `type`, so none of those libraries has to be installed for this file to load.
+
+const castError = (err) => {
+    if (err.name !== "CastError") {
+        return undefined;
+    }
+
+    // A malformed id can never match a document, so it is reported like a missing one.
+    if (err.path === "_id") {
+        return new ApiError(404, "Resource not found");
+    }
+
+    return new ApiError(400, "Validation failed", [
+        { field: err.path, message: `Invalid ${err.kind} value: ${JSON.stringify(err.value)}` },
+    ]);
+};
+
+const mongooseValidationError = (err) => {
+    if (err.name !== "ValidationError" || !err.errors) {
+        return undefined;
+    }
+
+    return new ApiError(
+        400,
+        "Validation failed",
+        Object.values(err.errors).map(({ path, message }) => ({ location: "body", field: path, message })),
+    );
+};
+
+const duplicateFields = (fields) =>
+    new ApiError(
+        409,
+        "A resource with the same value already exists",
+        fields.map((field) => ({ location: "body", field, message: `${field} is already in use` })),
+    );
+
+const duplicateKeyError = (err) => {
+    // MongoDB: E11000 duplicate key error
+    if (err.code === 11000) {
+        return duplicateFields(Object.keys(err.keyValue ?? {}));
+    }
+
+    // PostgreSQL: unique_violation, with a detail like 'Key (email)=(a@b.c) already exists.'
+    if (err.code === "23505") {
+        const [, columns = ""] = /^Key \((.+?)\)=/.exec(err.detail ?? "") ?? [];
+        return duplicateFields(columns.split(", ").filter(Boolean));
+    }
+
+    // SQLite: 'UNIQUE constraint failed: users.email'
+    if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+        const [, columns = ""] = /UNIQUE constraint failed: (.+)$/.exec(err.message) ?? [];
+        return duplicateFields(columns.split(", ").map((column) => column.split(".").pop()));
+    }
+
+    return undefined;
+};
+
+const jwtError = (err) => {
+    if (err.name === "TokenExpiredError") {
+        return new ApiError(401, "Token has expired");
+    }
+
+    if (err.name === "JsonWebTokenError" || err.name === "NotBeforeError") {
+        return new ApiError(401, "Invalid token");
+    }
+
+    return undefined;
+};
+
+const bodyParserError = (err) => {
+    if (err.type === "entity.parse.failed") {
+        return new ApiError(400, "Malformed JSON in request body");
+    }
+
+    if (err.type === "entity.too.large") {
+        return new ApiError(413, `Request body is larger than the ${err.limit} byte limit`);
+    }
+
+    return undefined;
+};
+
+const errorTranslators = [castError, mongooseValidationError, duplicateKeyError, jwtError, bodyParserError];
+
+/**
+ * Adds a translator for errors from another library. It receives the thrown error and returns an
+ * ApiError, or undefined to leave the error to the next translator. Added translators run first.
+ */
+const registerErrorTranslator = (translator) => {
+    errorTranslators.unshift(translator);
+};
+
+// Returns the ApiError for the first translator that recognises `err`, or undefined.
+const translateError = (err) => {
+    for (const translator of errorTranslators) {
+        const translated = translator(err);
+
+        if (translated) {
+            translated.stack = err.stack;
+            return translated;
+        }
+    }
+
+    return undefined;
+};
+
+export { registerErrorTranslator, translateError };
@@ -0,0 +1,45 @@
+// Dependencies the readiness probe checks, keyed by name. The database connectors register
+// themselves here; add your own (Redis, a queue, another API) with registerHealthCheck.
+const healthChecks = new Map();
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Registers a readiness check. `check` should resolve when the dependency is usable and throw
+ * (or reject) when it is not. Checks that take longer than `timeoutMs` count as down.
+ */
+const registerHealthCheck = (name, check, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+    healthChecks.set(name, { check, timeoutMs });
+};
+
+// Runs every check in parallel and reports each one as UP or DOWN with its response time.
+const runHealthChecks = async () => {
+    const results = await Promise.all(
+        [...healthChecks].map(async ([name, { check, timeoutMs }]) => {
+            const startedAt = Date.now();
+
+            try {
+                await withTimeout(Promise.resolve().then(check), timeoutMs);
+                return [name, { status: "UP", responseTimeMs: Date.now() - startedAt }];
+            } catch (error) {
+                return [
+                    name,
+                    { status: "DOWN", responseTimeMs: Date.now() - startedAt, error: error.message },
+                ];
+            }
+        }),
+    );
+
+    return Object.fromEntries(results);
+};
+
+export { registerHealthCheck, runHealthChecks };
@@ -0,0 +1,12 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Holds per-request data for everything that runs while a request is handled, including code
+// that never sees `req` (services, models, the logger). The requestId middleware opens it.
+const requestContext = new AsyncLocalStorage();
+
+const runWithRequestContext = (context, callback) => requestContext.run(context, callback);
+
+// The id of the request being handled, or undefined outside a request (startup, jobs).
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+export { getRequestId, runWithRequestContext };
@@ -0,0 +1,14 @@
+import User from "#models/user.model.js";
+import { asyncHandler } from "#utils/asyncHandler.js";
+import { ApiResponse } from "#utils/ApiResponse.js";
+import { sanitizeUser } from "#controllers/auth.controller.js";
+
+export const adminController = {
+  listUsers: asyncHandler(async (req, res) => {
+    const users = await User.findAll();
+
+    return res.status(200).json(
+      new ApiResponse(200, { users: users.map(sanitizeUser) }, "Users retrieved successfully."),
+    );
+  }),
+};
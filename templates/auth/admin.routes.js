@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import { adminController } from '#controllers/admin.controller.js';
+import { authMiddleware } from '#middlewares/auth.middleware.js';
+import { authorize } from '#middlewares/authorize.middleware.js';
+import { ROLES } from '#models/user.model.js';
+
+const router = Router();
+
+// Every route in this file is limited to admins.
+router.use(authMiddleware, authorize(ROLES.ADMIN));
+
+router.get('/users', adminController.listUsers);
+
+export default router;
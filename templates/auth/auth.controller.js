@@ -1,28 +1,72 @@
+import { config } from "#config/index.js";
 import User from "#models/user.model.js";
 import { ApiError } from "#utils/ApiError.js";
 import { asyncHandler } from "#utils/asyncHandler.js";
 import { ApiResponse } from "#utils/ApiResponse.js";
 import { generateToken } from "#utils/jwt.util.js";
 import { hashData, compareData } from "#utils/hash.util.js";
-
-const sanitizeUser = (user) => ({
-  id: user._id,
+import { issueRefreshToken, revokeAllRefreshTokens, revokeRefreshToken, rotateRefreshToken } from "#utils/refreshToken.util.js";
+import { REFRESH_TOKEN_COOKIE, clearAuthCookies, setAuthCookies } from "#utils/authCookies.util.js";
+import { createExpiringToken, hashToken } from "#utils/token.util.js";
+import { getLockedUntil, getRetryAfterSeconds, isLocked } from "#utils/loginProtection.util.js";
+import { sendMail } from "#utils/mailer.util.js";
+import { passwordResetEmail, verificationEmail } from "#emails/auth.emails.js";
+
+export const sanitizeUser = (user) => ({
+  id: user.id,
   name: user.name,
   email: user.email,
+  role: user.role,
+  emailVerified: Boolean(user.emailVerifiedAt),
   createdAt: user.createdAt,
   updatedAt: user.updatedAt,
 });
 
-export const authController = {
-  register: asyncHandler(async (req, res) => {
-    const { name, email, password } = req.body ?? {};
+// Unknown emails are checked against this hash, so they take as long to refuse as a wrong
+// password and the response time does not reveal which emails are registered. It is hashed
+// once, with the same cost as the stored passwords.
+let dummyPasswordHash;
+const getDummyPasswordHash = () => {
+  dummyPasswordHash ??= hashData("not-a-real-password");
+  return dummyPasswordHash;
+};
 
-    if (!name?.trim() || !email?.trim() || !password) {
-      throw new ApiError(400, "Name, email, and password are required.");
-    }
+const lockedAccountError = (res, lockedUntil) => {
+  if (lockedUntil) {
+    res.set("Retry-After", String(getRetryAfterSeconds(lockedUntil)));
+  }
+
+  return new ApiError(423, "Account temporarily locked after too many failed login attempts.");
+};
+
+// Issues a short-lived access token and a rotating refresh token, and stores both in httpOnly
+// cookies. Passing the family of a rotated token keeps reuse detection working across refreshes.
+const startSession = async (res, user, family) => {
+  const token = generateToken({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+  });
+  const refreshToken = await issueRefreshToken(user.id, family);
+
+  setAuthCookies(res, { accessToken: token, refreshToken });
+  return token;
+};
 
-    const normalizedEmail = email.trim().toLowerCase();
-    const existingUser = await User.findOne({ email: normalizedEmail });
+// Issuing a new token replaces the previous one, so only the latest email works.
+const sendVerificationEmail = async (user) => {
+  const ttlHours = config.EMAIL_VERIFICATION_TTL_HOURS;
+  const { token, tokenHash, expiresAt } = createExpiringToken(ttlHours * 60 * 60 * 1000);
+
+  await User.setEmailVerificationToken(user.id, { tokenHash, expiresAt });
+  await sendMail({ to: user.email, ...verificationEmail({ name: user.name, token, ttlHours }) });
+};
+
+export const authController = {
+  register: asyncHandler(async (req, res) => {
+    // The body was trimmed and checked by registerSchema in the auth routes.
+    const { name, email, password } = req.body;
+    const existingUser = await User.findByEmail(email);
 
     if (existingUser) {
       throw new ApiError(409, "A user with that email already exists.");
@@ -30,16 +74,18 @@ export const authController = {
 
     const hashedPassword = await hashData(password);
     const user = await User.create({
-      name: name.trim(),
-      email: normalizedEmail,
+      name,
+      email,
       password: hashedPassword,
     });
 
-    const token = generateToken({
-      id: user._id.toString(),
-      email: user.email,
+    // A mail outage should not fail the registration; the user can ask for a new email later.
+    await sendVerificationEmail(user).catch((error) => {
+      console.error(`Could not send the verification email to ${user.email}: ${error.message}`);
     });
 
+    const token = await startSession(res, user);
+
     return res.status(201).json(
       new ApiResponse(
         201,
@@ -50,36 +96,141 @@ export const authController = {
   }),
 
   login: asyncHandler(async (req, res) => {
-    const { email, password } = req.body ?? {};
+    const { email, password } = req.body;
+    const user = await User.findByEmail(email, { includePassword: true });
 
-    if (!email?.trim() || !password) {
-      throw new ApiError(400, "Email and password are required.");
+    if (!user?.password) {
+      await compareData(password, await getDummyPasswordHash());
+      throw new ApiError(401, "Invalid email or password.");
     }
 
-    const normalizedEmail = email.trim().toLowerCase();
-    const user = await User.findOne({ email: normalizedEmail }).select("+password");
-
-    if (!user) {
-      throw new ApiError(401, "Invalid email or password.");
+    // A locked account is refused before the password is checked, so guessing cannot continue.
+    if (isLocked(user)) {
+      throw lockedAccountError(res, user.lockedUntil);
     }
 
     const passwordMatches = await compareData(password, user.password);
     if (!passwordMatches) {
+      // Both writes only apply while the account is unlocked. Requests that were already past the
+      // check above when another one locked the account are refused as well, so a burst of
+      // guesses sent at once gets no more than LOGIN_MAX_ATTEMPTS answers.
+      const failedAttempts = await User.recordFailedLogin(user.id);
+      const lockedUntil = failedAttempts === null ? null : getLockedUntil(failedAttempts);
+
+      if (failedAttempts === null || (lockedUntil && !(await User.lock(user.id, lockedUntil)))) {
+        const lockedUser = await User.findById(user.id);
+        throw lockedAccountError(res, lockedUser?.lockedUntil);
+      }
+
       throw new ApiError(401, "Invalid email or password.");
     }
 
-    const token = generateToken({
-      id: user._id.toString(),
-      email: user.email,
-    });
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await User.clearFailedLogins(user.id);
+    }
+
+    const token = await startSession(res, user);
 
     return res.status(200).json(
       new ApiResponse(200, { token, user: sanitizeUser(user) }, "Login successful"),
     );
   }),
 
+  refresh: asyncHandler(async (req, res) => {
+    let session;
+    try {
+      session = await rotateRefreshToken(req.cookies?.[REFRESH_TOKEN_COOKIE]);
+    } catch (error) {
+      clearAuthCookies(res);
+      throw error;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await revokeRefreshToken(req.cookies?.[REFRESH_TOKEN_COOKIE]);
+      clearAuthCookies(res);
+      throw new ApiError(401, "User no longer exists.");
+    }
+
+    const token = await startSession(res, user, session.family);
+
+    return res.status(200).json(new ApiResponse(200, { token }, "Token refreshed"));
+  }),
+
+  logout: asyncHandler(async (req, res) => {
+    // Revoking the whole family also signs out any copy of the token that is still in flight.
+    await revokeRefreshToken(req.cookies?.[REFRESH_TOKEN_COOKIE]);
+    clearAuthCookies(res);
+
+    return res.status(200).json(new ApiResponse(200, null, "Logged out"));
+  }),
+
+  verifyEmail: asyncHandler(async (req, res) => {
+    const user = await User.verifyEmail(hashToken(req.body.token));
+
+    if (!user) {
+      throw new ApiError(400, "Invalid or expired verification token.");
+    }
+
+    return res.status(200).json(new ApiResponse(200, { user: sanitizeUser(user) }, "Email verified"));
+  }),
+
+  resendVerification: asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user?.id);
+
+    if (!user) {
+      throw new ApiError(404, "User not found.");
+    }
+
+    if (user.emailVerifiedAt) {
+      throw new ApiError(409, "Email is already verified.");
+    }
+
+    await sendVerificationEmail(user);
+
+    return res.status(200).json(new ApiResponse(200, null, "Verification email sent"));
+  }),
+
+  forgotPassword: asyncHandler(async (req, res) => {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user) {
+      const ttlMinutes = config.PASSWORD_RESET_TTL_MINUTES;
+      const { token, tokenHash, expiresAt } = createExpiringToken(ttlMinutes * 60 * 1000);
+
+      await User.setPasswordResetToken(user.id, { tokenHash, expiresAt });
+      await sendMail({ to: user.email, ...passwordResetEmail({ name: user.name, token, ttlMinutes }) });
+    }
+
+    // Unknown emails get the same answer, so the endpoint does not reveal who has an account.
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        null,
+        "If an account with that email exists, a password reset link has been sent.",
+      ),
+    );
+  }),
+
+  resetPassword: asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    const user = await User.resetPassword(hashToken(token), await hashData(password));
+
+    if (!user) {
+      throw new ApiError(400, "Invalid or expired password reset token.");
+    }
+
+    // Sessions opened with the old password may belong to whoever triggered the reset.
+    await revokeAllRefreshTokens(user.id);
+    clearAuthCookies(res);
+
+    return res.status(200).json(
+      new ApiResponse(200, null, "Password reset. Log in with your new password."),
+    );
+  }),
+
   profile: asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user?.id).select("-password");
+    const user = await User.findById(req.user?.id);
 
     if (!user) {
       throw new ApiError(404, "User not found.");
@@ -88,7 +239,7 @@ export const authController = {
     return res.status(200).json(
       new ApiResponse(
         200,
-        { user },
+        { user: sanitizeUser(user) },
         "Protected profile data retrieved successfully.",
       ),
     );
@@ -0,0 +1,45 @@
+import { config } from "#config/index.js";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+
+// Links point at the frontend (APP_URL), which posts the token back to the API.
+const buildLink = (pathname, token) => {
+  const url = new URL(pathname, config.APP_URL);
+  url.searchParams.set("token", token);
+
+  return url.toString();
+};
+
+const buildEmail = ({ subject, name, intro, action, link, expiry }) => ({
+  subject,
+  text: `Hi ${name},\n\n${intro}\n\n${link}\n\n${expiry} If you did not ask for this, you can ignore this email.\n`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(expiry)} If you did not ask for this, you can ignore this email.</p>`,
+});
+
+export const verificationEmail = ({ name, token, ttlHours }) =>
+  buildEmail({
+    subject: "Verify your email address",
+    name,
+    intro: "Please confirm your email address by opening the link below.",
+    action: "Verify email address",
+    link: buildLink("/verify-email", token),
+    expiry: `The link expires in ${ttlHours} hours.`,
+  });
+
+export const passwordResetEmail = ({ name, token, ttlMinutes }) =>
+  buildEmail({
+    subject: "Reset your password",
+    name,
+    intro: "Someone asked to reset the password of your account. Open the link below to choose a new one.",
+    action: "Reset password",
+    link: buildLink("/reset-password", token),
+    expiry: `The link expires in ${ttlMinutes} minutes and can only be used once.`,
+  });
@@ -1,19 +1,17 @@
 import { verifyToken } from "#utils/jwt.util.js";
 import { ApiError } from "#utils/ApiError.js";
+import { ACCESS_TOKEN_COOKIE } from "#utils/authCookies.util.js";
 
 export const authMiddleware = (req, res, next) => {
   const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return next(new ApiError(401, "Authorization header missing."));
-  }
-
-  if (!authHeader.startsWith("Bearer ")) {
+  if (authHeader && !authHeader.startsWith("Bearer ")) {
     return next(new ApiError(401, "Authorization header must use the Bearer scheme."));
   }
 
-  const token = authHeader.split(" ")[1];
+  // API clients send a Bearer header; browsers send the httpOnly cookie set at login.
+  const token = authHeader ? authHeader.split(" ")[1] : req.cookies?.[ACCESS_TOKEN_COOKIE];
   if (!token) {
-    return next(new ApiError(401, "Token missing."));
+    return next(new ApiError(401, "Authentication required. Send a Bearer token or log in to get a session cookie."));
   }
 
   try {
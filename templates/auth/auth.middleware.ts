@@ -0,0 +1,29 @@
+import type { RequestHandler } from "express";
+import { verifyToken } from "#utils/jwt.util.js";
+import { ApiError } from "#utils/ApiError.js";
+import { ACCESS_TOKEN_COOKIE } from "#utils/authCookies.util.js";
+
+export const authMiddleware: RequestHandler = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && !authHeader.startsWith("Bearer ")) {
+    return next(new ApiError(401, "Authorization header must use the Bearer scheme."));
+  }
+
+  // API clients send a Bearer header; browsers send the httpOnly cookie set at login.
+  const token = authHeader ? authHeader.split(" ")[1] : req.cookies?.[ACCESS_TOKEN_COOKIE];
+  if (!token) {
+    return next(new ApiError(401, "Authentication required. Send a Bearer token or log in to get a session cookie."));
+  }
+
+  try {
+    const decoded = verifyToken(token);
+    if (!decoded?.id) {
+      return next(new ApiError(401, "Token payload is missing a user id."));
+    }
+
+    req.user = decoded;
+    return next();
+  } catch {
+    return next(new ApiError(401, "Invalid or expired token."));
+  }
+};
@@ -1,11 +1,20 @@
 import { Router } from 'express';
 import { authController } from '#controllers/auth.controller.js';
 import { authMiddleware } from '#middlewares/auth.middleware.js';
+import { loginThrottle } from '#middlewares/loginThrottle.middleware.js';
+import { validate } from '#middlewares/validate.middleware.js';
+import { forgotPasswordSchema, loginSchema, registerSchema, resetPasswordSchema, verifyEmailSchema } from '#validators/auth.validator.js';
 
 const router = Router();
 
-router.post('/login', authController.login);
-router.post('/register', authController.register);
+router.post('/login', loginThrottle, validate({ body: loginSchema }), authController.login);
+router.post('/register', validate({ body: registerSchema }), authController.register);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.post('/verify-email', validate({ body: verifyEmailSchema }), authController.verifyEmail);
+router.post('/resend-verification', authMiddleware, authController.resendVerification);
+router.post('/forgot-password', validate({ body: forgotPasswordSchema }), authController.forgotPassword);
+router.post('/reset-password', validate({ body: resetPasswordSchema }), authController.resetPassword);
 router.get('/profile', authMiddleware, authController.profile);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { app } from '../src/app.js';
+import { setMailTransport } from '../src/utils/mailer.util.js';
+import { buildUser, createAdmin, createUser } from './factories/user.factory.js';
+
+// tests/setup.js empties the in-memory database after every test, so each test creates its own
+// users. Verification emails are dropped instead of printed.
+setMailTransport({ sendMail: async () => {} });
+
+describe('Auth API', () => {
+  describe('POST /api/v1/auth/register', () => {
+    it('should create the user and return a token', async () => {
+      const details = buildUser();
+      const response = await request(app).post('/api/v1/auth/register').send(details);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.user.email).toBe(details.email);
+      expect(response.body.data.user.password).toBeUndefined();
+    });
+
+    it('should reject an email that is already registered', async () => {
+      const { user } = await createUser();
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send(buildUser({ email: user.email }));
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+    it('should log in with the right password', async () => {
+      const { user, password } = await createUser();
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: user.email, password });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.user.id).toBe(user.id);
+    });
+
+    it('should reject a wrong password', async () => {
+      const { user } = await createUser();
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: user.email, password: 'wrong-password' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should answer at most LOGIN_MAX_ATTEMPTS wrong passwords sent at once before locking', async () => {
+      const { user } = await createUser();
+      const responses = await Promise.all(
+        Array.from({ length: 10 }, () =>
+          request(app).post('/api/v1/auth/login').send({ email: user.email, password: 'wrong-password' }),
+        ),
+      );
+      const statuses = responses.map(({ status }) => status);
+
+      expect(statuses.filter((status) => status === 401).length).toBeLessThanOrEqual(5);
+      expect(statuses.filter((status) => status === 423).length).toBeGreaterThanOrEqual(5);
+    });
+  });
+
+  describe('GET /api/v1/auth/profile', () => {
+    it('should return the profile for a valid token', async () => {
+      const { user, token } = await createUser();
+      const response = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.email).toBe(user.email);
+    });
+
+    it('should reject requests without a token', async () => {
+      const response = await request(app).get('/api/v1/auth/profile');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', 'Bearer not-a-real-token');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/v1/admin/users', () => {
+    it('should only let admins in', async () => {
+      const { token: userToken } = await createUser();
+      const { user: admin, token: adminToken } = await createAdmin();
+
+      const forbiddenResponse = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${userToken}`);
+      const usersResponse = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(forbiddenResponse.status).toBe(403);
+      expect(usersResponse.status).toBe(200);
+      expect(usersResponse.body.data.users).toEqual(
+        expect.arrayContaining([expect.objectContaining({ email: admin.email })]),
+      );
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { config } from "#config/index.js";
+import { getRefreshTokenTtlMs } from "#utils/refreshToken.util.js";
+
+export const ACCESS_TOKEN_COOKIE = "accessToken";
+export const REFRESH_TOKEN_COOKIE = "refreshToken";
+
+// The refresh token is only needed by /auth/refresh and /auth/logout. It is scoped to /api rather
+// than one version's auth routes, so every API version can refresh and revoke it.
+const REFRESH_TOKEN_PATH = "/api";
+
+const getCookieOptions = () => ({
+  httpOnly: true,
+  secure: config.NODE_ENV === "production",
+  sameSite: config.COOKIE_SAME_SITE,
+});
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  // The access token cookie lives for the browser session; the JWT inside it expires on its own.
+  res.cookie(ACCESS_TOKEN_COOKIE, accessToken, getCookieOptions());
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...getCookieOptions(),
+    path: REFRESH_TOKEN_PATH,
+    maxAge: getRefreshTokenTtlMs(),
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, getCookieOptions());
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...getCookieOptions(), path: REFRESH_TOKEN_PATH });
+};
@@ -0,0 +1,23 @@
+import type { RequestHandler } from "express";
+import type { Role } from "#models/user.model.js";
+import { ApiError } from "#utils/ApiError.js";
+
+/**
+ * Allows the request through only when the authenticated user has one of the given roles.
+ * Mount it after authMiddleware, which puts the decoded token on req.user:
+ *
+ *   router.delete("/:id", authMiddleware, authorize(ROLES.ADMIN), deleteProduct);
+ */
+export const authorize = (...roles: Role[]): RequestHandler => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, "Authentication required."));
+    }
+
+    if (!roles.includes(req.user.role as Role)) {
+      return next(new ApiError(403, "You do not have permission to perform this action."));
+    }
+
+    return next();
+  };
+};
@@ -0,0 +1,24 @@
+import { config } from "#config/index.js";
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+export const getRetryAfterSeconds = (until: Date): number => {
+  return Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+};
+
+export const isLocked = <T extends { lockedUntil?: Date | null }>(user: T): user is T & { lockedUntil: Date } =>
+  Boolean(user.lockedUntil && user.lockedUntil.getTime() > Date.now());
+
+// LOGIN_MAX_ATTEMPTS consecutive failures lock the account. Every failure after the lockout
+// ends locks it again, each time twice as long (up to a day). Returns null while the account
+// stays unlocked.
+export const getLockedUntil = (failedAttempts: number): Date | null => {
+  const maxAttempts = config.LOGIN_MAX_ATTEMPTS;
+
+  if (failedAttempts < maxAttempts) {
+    return null;
+  }
+
+  const lockoutMs = config.LOGIN_LOCKOUT_MINUTES * 60 * 1000 * 2 ** (failedAttempts - maxAttempts);
+  return new Date(Date.now() + Math.min(lockoutMs, MAX_LOCKOUT_MS));
+};
@@ -0,0 +1,61 @@
+import { config } from "#config/index.js";
+import { ApiError } from "#utils/ApiError.js";
+
+// Failed logins per IP address. The counters live in memory, so every instance of the app
+// counts on its own; move them to a shared store such as Redis when you run several instances.
+const failuresByIp = new Map();
+// Bounds the memory the counters can take when many addresses fail at once.
+const MAX_TRACKED_IPS = 10000;
+
+const pruneExpired = (now) => {
+  for (const [ip, entry] of failuresByIp) {
+    if (entry.resetAt <= now) {
+      failuresByIp.delete(ip);
+    }
+  }
+};
+
+const recordFailure = (ip) => {
+  const now = Date.now();
+  const entry = failuresByIp.get(ip);
+
+  if (entry && entry.resetAt > now) {
+    entry.count += 1;
+    return;
+  }
+
+  // Re-adding an expired entry moves it to the end, so the first key is always the oldest window.
+  failuresByIp.delete(ip);
+
+  if (failuresByIp.size >= MAX_TRACKED_IPS) {
+    pruneExpired(now);
+  }
+
+  if (failuresByIp.size >= MAX_TRACKED_IPS) {
+    const [oldestIp] = failuresByIp.keys();
+    failuresByIp.delete(oldestIp);
+  }
+
+  failuresByIp.set(ip, { count: 1, resetAt: now + config.LOGIN_IP_WINDOW_MINUTES * 60 * 1000 });
+};
+
+/**
+ * Rejects login attempts with 429 once an IP address has failed LOGIN_IP_MAX_ATTEMPTS times
+ * within LOGIN_IP_WINDOW_MINUTES. Only 401 responses count as failures.
+ */
+export const loginThrottle = (req, res, next) => {
+  const entry = failuresByIp.get(req.ip);
+
+  if (entry && entry.resetAt > Date.now() && entry.count >= config.LOGIN_IP_MAX_ATTEMPTS) {
+    res.set("Retry-After", String(Math.ceil((entry.resetAt - Date.now()) / 1000)));
+    return next(new ApiError(429, "Too many failed login attempts. Try again later."));
+  }
+
+  res.on("finish", () => {
+    if (res.statusCode === 401) {
+      recordFailure(req.ip);
+    }
+  });
+
+  return next();
+};
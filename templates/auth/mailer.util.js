@@ -0,0 +1,77 @@
+import crypto from "node:crypto";
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+import { config } from "#config/index.js";
+
+// "console" prints emails and "file" writes them to MAIL_OUTBOX_DIR as .eml files, so development
+// never needs a mail server. "smtp" sends through SMTP_HOST, e.g. MailHog from docker-compose.
+const createConsoleTransport = () => ({
+  async sendMail({ to, subject, text }) {
+    console.log(`\n[mail] To: ${to}\n[mail] Subject: ${subject}\n\n${text}\n`);
+  },
+});
+
+const createFileTransport = () => {
+  const outboxDirectory = path.resolve(config.MAIL_OUTBOX_DIR);
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async sendMail(message) {
+      const { message: rawMessage } = await transport.sendMail(message);
+
+      fs.mkdirSync(outboxDirectory, { recursive: true });
+      fs.writeFileSync(path.join(outboxDirectory, `${Date.now()}-${crypto.randomUUID()}.eml`), rawMessage);
+    },
+  };
+};
+
+const createSmtpTransport = () => {
+  if (!config.SMTP_HOST) {
+    throw new Error("SMTP_HOST must be set when MAIL_TRANSPORT is smtp.");
+  }
+
+  return nodemailer.createTransport({
+    host: config.SMTP_HOST,
+    port: config.SMTP_PORT,
+    secure: config.SMTP_SECURE,
+    auth: config.SMTP_USER
+      ? { user: config.SMTP_USER, pass: config.SMTP_PASSWORD }
+      : undefined,
+  });
+};
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    // src/config only accepts the transport names listed in TRANSPORTS.
+    transport = TRANSPORTS[config.MAIL_TRANSPORT]();
+  }
+
+  return transport;
+};
+
+/**
+ * Replaces the transport picked from MAIL_TRANSPORT. Anything with a nodemailer-style
+ * `sendMail(message)` method works, e.g. a provider SDK wrapper or an in-memory outbox in tests.
+ */
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().sendMail({
+    from: config.MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Only a SHA-256 hash of each refresh token is stored, so a database leak does not leak sessions.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      // MongoDB deletes tokens once they expire.
+      index: { expires: 0 },
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+refreshTokenSchema.statics.findByHash = async function findByHash(tokenHash) {
+  return this.findOne({ tokenHash });
+};
+
+// Resolves to false when the token was already revoked, e.g. by a concurrent refresh.
+refreshTokenSchema.statics.revoke = async function revoke(id) {
+  const result = await this.updateOne({ _id: id, revokedAt: null }, { revokedAt: new Date() });
+
+  return result.modifiedCount === 1;
+};
+
+refreshTokenSchema.statics.revokeFamily = async function revokeFamily(family) {
+  await this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+refreshTokenSchema.statics.revokeAllForUser = async function revokeAllForUser(userId) {
+  await this.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+const RefreshToken =
+  mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
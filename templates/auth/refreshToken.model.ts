@@ -0,0 +1,75 @@
+import mongoose, { type HydratedDocument, type Model, type Types } from "mongoose";
+
+export interface IRefreshToken {
+  userId: Types.ObjectId;
+  tokenHash: string;
+  family: string;
+  expiresAt: Date;
+  revokedAt: Date | null;
+}
+
+interface RefreshTokenModel extends Model<IRefreshToken> {
+  findByHash(tokenHash: string): Promise<HydratedDocument<IRefreshToken> | null>;
+  revoke(id: string): Promise<boolean>;
+  revokeFamily(family: string): Promise<void>;
+  revokeAllForUser(userId: string): Promise<void>;
+}
+
+// Only a SHA-256 hash of each refresh token is stored, so a database leak does not leak sessions.
+const refreshTokenSchema = new mongoose.Schema<IRefreshToken, RefreshTokenModel>(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      // MongoDB deletes tokens once they expire.
+      index: { expires: 0 },
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+refreshTokenSchema.static("findByHash", async function findByHash(this: RefreshTokenModel, tokenHash: string) {
+  return this.findOne({ tokenHash });
+});
+
+// Resolves to false when the token was already revoked, e.g. by a concurrent refresh.
+refreshTokenSchema.static("revoke", async function revoke(this: RefreshTokenModel, id: string) {
+  const result = await this.updateOne({ _id: id, revokedAt: null }, { revokedAt: new Date() });
+
+  return result.modifiedCount === 1;
+});
+
+refreshTokenSchema.static("revokeFamily", async function revokeFamily(this: RefreshTokenModel, family: string) {
+  await this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+});
+
+refreshTokenSchema.static("revokeAllForUser", async function revokeAllForUser(this: RefreshTokenModel, userId: string) {
+  await this.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+});
+
+const RefreshToken =
+  (mongoose.models.RefreshToken as RefreshTokenModel | undefined) ||
+  mongoose.model<IRefreshToken, RefreshTokenModel>("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
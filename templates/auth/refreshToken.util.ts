@@ -0,0 +1,78 @@
+import crypto from "node:crypto";
+import { config } from "#config/index.js";
+import RefreshToken from "#models/refreshToken.model.js";
+import { ApiError } from "#utils/ApiError.js";
+import { generateRandomToken, hashToken } from "#utils/token.util.js";
+
+export interface RotatedRefreshToken {
+  userId: string;
+  family: string;
+}
+
+export const getRefreshTokenTtlMs = (): number => {
+  return config.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// Every refresh token descends from a login; the family ties the whole chain together so a
+// replayed token can revoke all of its siblings at once.
+export const issueRefreshToken = async (
+  userId: string,
+  family: string = crypto.randomUUID(),
+): Promise<string> => {
+  const token = generateRandomToken(48);
+
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return token;
+};
+
+export const rotateRefreshToken = async (token: string | undefined): Promise<RotatedRefreshToken> => {
+  if (!token) {
+    throw new ApiError(401, "Refresh token missing.");
+  }
+
+  const storedToken = await RefreshToken.findByHash(hashToken(token));
+  if (!storedToken) {
+    throw new ApiError(401, "Invalid refresh token.");
+  }
+
+  // A revoked token is only presented again when it was stolen, so log out every session in the family.
+  if (storedToken.revokedAt) {
+    await RefreshToken.revokeFamily(storedToken.family);
+    throw new ApiError(401, "Refresh token reuse detected. Please log in again.");
+  }
+
+  if (storedToken.expiresAt.getTime() <= Date.now()) {
+    throw new ApiError(401, "Refresh token expired. Please log in again.");
+  }
+
+  // Losing this race means another request already rotated the same token.
+  const revoked = await RefreshToken.revoke(storedToken.id);
+  if (!revoked) {
+    await RefreshToken.revokeFamily(storedToken.family);
+    throw new ApiError(401, "Refresh token reuse detected. Please log in again.");
+  }
+
+  return { userId: String(storedToken.userId), family: storedToken.family };
+};
+
+export const revokeRefreshToken = async (token: string | undefined): Promise<void> => {
+  if (!token) {
+    return;
+  }
+
+  const storedToken = await RefreshToken.findByHash(hashToken(token));
+  if (storedToken) {
+    await RefreshToken.revokeFamily(storedToken.family);
+  }
+};
+
+// Signs the user out everywhere, e.g. after a password reset.
+export const revokeAllRefreshTokens = async (userId: string): Promise<void> => {
+  await RefreshToken.revokeAllForUser(userId);
+};
@@ -0,0 +1,42 @@
+import connectDB, { disconnectDB } from "../src/db/index.js";
+import User, { ROLES } from "../src/models/user.model.js";
+import { hashData } from "../src/utils/hash.util.js";
+
+// Creates the first admin from ADMIN_EMAIL and ADMIN_PASSWORD, or promotes that user if they
+// already registered. Running it again is safe.
+const seedAdmin = async () => {
+  const email = process.env.ADMIN_EMAIL?.trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+  const name = process.env.ADMIN_NAME?.trim() || "Admin";
+
+  if (!email || !password) {
+    throw new Error("Set ADMIN_EMAIL and ADMIN_PASSWORD to seed the first admin.");
+  }
+
+  if (password.length < 8) {
+    throw new Error("ADMIN_PASSWORD must be at least 8 characters long.");
+  }
+
+  await connectDB();
+
+  try {
+    const existingUser = await User.findByEmail(email);
+
+    if (!existingUser) {
+      await User.create({ name, email, password: await hashData(password), role: ROLES.ADMIN });
+      console.log(`Created admin ${email}.`);
+    } else if (existingUser.role === ROLES.ADMIN) {
+      console.log(`${email} is already an admin.`);
+    } else {
+      await User.setRole(existingUser.id, ROLES.ADMIN);
+      console.log(`Promoted ${email} to admin.`);
+    }
+  } finally {
+    await disconnectDB();
+  }
+};
+
+seedAdmin().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
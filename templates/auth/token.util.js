@@ -0,0 +1,13 @@
+import crypto from "node:crypto";
+
+// Only the SHA-256 hash of a token is stored, so a database leak does not leak usable tokens.
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+
+// The plain token is sent to the user once; tokenHash and expiresAt are what gets stored.
+export const createExpiringToken = (ttlMs) => {
+  const token = generateRandomToken();
+
+  return { token, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+};
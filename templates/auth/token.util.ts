@@ -0,0 +1,21 @@
+import crypto from "node:crypto";
+
+export interface ExpiringToken {
+  token: string;
+  tokenHash: string;
+  expiresAt: Date;
+}
+
+// Only the SHA-256 hash of a token is stored, so a database leak does not leak usable tokens.
+export const hashToken = (token: string): string =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export const generateRandomToken = (bytes = 32): string =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+// The plain token is sent to the user once; tokenHash and expiresAt are what gets stored.
+export const createExpiringToken = (ttlMs: number): ExpiringToken => {
+  const token = generateRandomToken();
+
+  return { token, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+};
@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
 
+// Roles travel inside the JWT, so a role change takes effect on the next login or refresh.
+export const ROLES = Object.freeze({
+  USER: "user",
+  ADMIN: "admin",
+});
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -20,12 +26,134 @@ const userSchema = new mongoose.Schema(
       minlength: 8,
       select: false,
     },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.USER,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Single-use tokens are stored hashed and cleared as soon as they are used.
+    emailVerificationTokenHash: {
+      type: String,
+      index: { sparse: true },
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      index: { sparse: true },
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   },
 );
 
+userSchema.statics.findByEmail = async function findByEmail(email, { includePassword = false } = {}) {
+  const query = this.findOne({ email });
+
+  return includePassword ? query.select("+password") : query;
+};
+
+userSchema.statics.findAll = async function findAll() {
+  return this.find().sort({ createdAt: -1 });
+};
+
+userSchema.statics.setRole = async function setRole(id, role) {
+  return this.findByIdAndUpdate(id, { role }, { new: true, runValidators: true });
+};
+
+userSchema.statics.setEmailVerificationToken = async function setEmailVerificationToken(
+  id,
+  { tokenHash, expiresAt },
+) {
+  await this.updateOne(
+    { _id: id },
+    { emailVerificationTokenHash: tokenHash, emailVerificationExpiresAt: expiresAt },
+  );
+};
+
+// Resolves to null when the token is unknown, already used, or expired.
+userSchema.statics.verifyEmail = async function verifyEmail(tokenHash) {
+  return this.findOneAndUpdate(
+    { emailVerificationTokenHash: tokenHash, emailVerificationExpiresAt: { $gt: new Date() } },
+    {
+      emailVerifiedAt: new Date(),
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 },
+    },
+    { new: true },
+  );
+};
+
+userSchema.statics.setPasswordResetToken = async function setPasswordResetToken(
+  id,
+  { tokenHash, expiresAt },
+) {
+  await this.updateOne(
+    { _id: id },
+    { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: expiresAt },
+  );
+};
+
+// Resolves to null when the token is unknown, already used, or expired.
+userSchema.statics.resetPassword = async function resetPassword(tokenHash, password) {
+  return this.findOneAndUpdate(
+    { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: { $gt: new Date() } },
+    {
+      password,
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 },
+    },
+    { new: true },
+  );
+};
+
+// Matches the user only while the account is unlocked, so checking the lock and updating the
+// counters happen in one atomic write.
+const unlocked = (id) => ({
+  _id: id,
+  $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+});
+
+// Resolves to the number of consecutive failed logins, including this one, or null when the
+// account was locked while the password was being checked.
+userSchema.statics.recordFailedLogin = async function recordFailedLogin(id) {
+  const user = await this.findOneAndUpdate(unlocked(id), { $inc: { failedLoginAttempts: 1 } }, { new: true });
+
+  return user ? user.failedLoginAttempts : null;
+};
+
+// Resolves to false when the account is already locked, for example by a concurrent request.
+userSchema.statics.lock = async function lock(id, lockedUntil) {
+  const { matchedCount } = await this.updateOne(unlocked(id), { lockedUntil });
+
+  return matchedCount > 0;
+};
+
+userSchema.statics.clearFailedLogins = async function clearFailedLogins(id) {
+  await this.updateOne({ _id: id }, { failedLoginAttempts: 0, lockedUntil: null });
+};
+
 const User = mongoose.models.User || mongoose.model("User", userSchema);
 
 export default User;
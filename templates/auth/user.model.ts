@@ -0,0 +1,214 @@
+import mongoose, { type HydratedDocument, type Model } from "mongoose";
+
+// Roles travel inside the JWT, so a role change takes effect on the next login or refresh.
+export const ROLES = Object.freeze({
+  USER: "user",
+  ADMIN: "admin",
+} as const);
+
+export type Role = (typeof ROLES)[keyof typeof ROLES];
+
+export interface IUser {
+  name: string;
+  email: string;
+  password: string;
+  role: Role;
+  emailVerifiedAt: Date | null;
+  emailVerificationTokenHash?: string;
+  emailVerificationExpiresAt?: Date;
+  passwordResetTokenHash?: string;
+  passwordResetExpiresAt?: Date;
+  failedLoginAttempts: number;
+  lockedUntil: Date | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface StoredToken {
+  tokenHash: string;
+  expiresAt: Date;
+}
+
+interface FindByEmailOptions {
+  includePassword?: boolean;
+}
+
+interface UserModel extends Model<IUser> {
+  findByEmail(
+    email: string,
+    options?: FindByEmailOptions,
+  ): Promise<HydratedDocument<IUser> | null>;
+  findAll(): Promise<HydratedDocument<IUser>[]>;
+  setRole(id: string, role: Role): Promise<HydratedDocument<IUser> | null>;
+  setEmailVerificationToken(id: string, token: StoredToken): Promise<void>;
+  verifyEmail(tokenHash: string): Promise<HydratedDocument<IUser> | null>;
+  setPasswordResetToken(id: string, token: StoredToken): Promise<void>;
+  resetPassword(tokenHash: string, password: string): Promise<HydratedDocument<IUser> | null>;
+  recordFailedLogin(id: string): Promise<number | null>;
+  lock(id: string, lockedUntil: Date): Promise<boolean>;
+  clearFailedLogins(id: string): Promise<void>;
+}
+
+const userSchema = new mongoose.Schema<IUser, UserModel>(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      minlength: 8,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.USER,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Single-use tokens are stored hashed and cleared as soon as they are used.
+    emailVerificationTokenHash: {
+      type: String,
+      index: { sparse: true },
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      index: { sparse: true },
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+userSchema.static(
+  "findByEmail",
+  async function findByEmail(
+    this: UserModel,
+    email: string,
+    { includePassword = false }: FindByEmailOptions = {},
+  ) {
+    const query = this.findOne({ email });
+
+    return includePassword ? query.select("+password") : query;
+  },
+);
+
+userSchema.static("findAll", async function findAll(this: UserModel) {
+  return this.find().sort({ createdAt: -1 });
+});
+
+userSchema.static("setRole", async function setRole(this: UserModel, id: string, role: Role) {
+  return this.findByIdAndUpdate(id, { role }, { new: true, runValidators: true });
+});
+
+userSchema.static(
+  "setEmailVerificationToken",
+  async function setEmailVerificationToken(this: UserModel, id: string, { tokenHash, expiresAt }: StoredToken) {
+    await this.updateOne(
+      { _id: id },
+      { emailVerificationTokenHash: tokenHash, emailVerificationExpiresAt: expiresAt },
+    );
+  },
+);
+
+// Resolves to null when the token is unknown, already used, or expired.
+userSchema.static("verifyEmail", async function verifyEmail(this: UserModel, tokenHash: string) {
+  return this.findOneAndUpdate(
+    { emailVerificationTokenHash: tokenHash, emailVerificationExpiresAt: { $gt: new Date() } },
+    {
+      emailVerifiedAt: new Date(),
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 },
+    },
+    { new: true },
+  );
+});
+
+userSchema.static(
+  "setPasswordResetToken",
+  async function setPasswordResetToken(this: UserModel, id: string, { tokenHash, expiresAt }: StoredToken) {
+    await this.updateOne(
+      { _id: id },
+      { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: expiresAt },
+    );
+  },
+);
+
+// Resolves to null when the token is unknown, already used, or expired.
+userSchema.static(
+  "resetPassword",
+  async function resetPassword(this: UserModel, tokenHash: string, password: string) {
+    return this.findOneAndUpdate(
+      { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: { $gt: new Date() } },
+      {
+        password,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 },
+      },
+      { new: true },
+    );
+  },
+);
+
+// Matches the user only while the account is unlocked, so checking the lock and updating the
+// counters happen in one atomic write.
+const unlocked = (id: string) => ({
+  _id: id,
+  $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }],
+});
+
+// Resolves to the number of consecutive failed logins, including this one, or null when the
+// account was locked while the password was being checked.
+userSchema.static("recordFailedLogin", async function recordFailedLogin(this: UserModel, id: string) {
+  const user = await this.findOneAndUpdate(unlocked(id), { $inc: { failedLoginAttempts: 1 } }, { new: true });
+
+  return user ? user.failedLoginAttempts : null;
+});
+
+// Resolves to false when the account is already locked, for example by a concurrent request.
+userSchema.static("lock", async function lock(this: UserModel, id: string, lockedUntil: Date) {
+  const { matchedCount } = await this.updateOne(unlocked(id), { lockedUntil });
+
+  return matchedCount > 0;
+});
+
+userSchema.static("clearFailedLogins", async function clearFailedLogins(this: UserModel, id: string) {
+  await this.updateOne({ _id: id }, { failedLoginAttempts: 0, lockedUntil: null });
+});
+
+const User =
+  (mongoose.models.User as UserModel | undefined) ||
+  mongoose.model<IUser, UserModel>("User", userSchema);
+
+export default User;
@@ -0,0 +1,153 @@
+// Every environment variable the app reads is declared here. The rest of the app imports `config`
+// instead of reading process.env, so a missing or malformed value stops the app at startup with
+// the full list of problems rather than surfacing at the first request that needs it.
+//
+// Each entry has a `type` and optionally:
+// - `default`: used when the variable is unset or empty.
+// - `required`: the variable must be set unless it has a default.
+// - `requiredInProduction`: production must set the variable itself; the default does not count.
+// - `placeholder`: the value from .env.example, rejected in production.
+type VariableType = "string" | "number" | "port" | "boolean" | "url" | "list" | "enum";
+
+interface Variable {
+    type: VariableType;
+    values?: readonly string[];
+    default?: unknown;
+    required?: boolean;
+    requiredInProduction?: boolean;
+    placeholder?: string;
+}
+
+type ValueOf<TVariable> = TVariable extends { type: "number" | "port" }
+    ? number
+    : TVariable extends { type: "boolean" }
+      ? boolean
+      : TVariable extends { type: "list" }
+        ? readonly string[]
+        : TVariable extends { type: "enum"; values: readonly (infer TValue)[] }
+          ? TValue
+          : string;
+
+type IsDefined<TVariable> = TVariable extends { required: true }
+    ? true
+    : TVariable extends { default: infer TDefault }
+      ? undefined extends TDefault
+          ? false
+          : true
+      : false;
+
+export type ConfigOf<TSchema extends Record<string, Variable>> = {
+    readonly [TName in keyof TSchema]: IsDefined<TSchema[TName]> extends true
+        ? ValueOf<TSchema[TName]>
+        : ValueOf<TSchema[TName]> | undefined;
+};
+
+const isTest = process.env.NODE_ENV === "test";
+
+const schema = {
+__CONFIG_SCHEMA__
+} as const satisfies Record<string, Variable>;
+
+const parsers: Record<VariableType, (value: string, variable: Variable) => unknown> = {
+    string: (value) => value,
+    number: (value) => {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw new Error("must be a number");
+        }
+        return number;
+    },
+    port: (value) => {
+        const port = Number(value);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new Error("must be a port number between 0 and 65535");
+        }
+        return port;
+    },
+    boolean: (value) => {
+        if (value === "true" || value === "1") {
+            return true;
+        }
+        if (value === "false" || value === "0") {
+            return false;
+        }
+        throw new Error('must be "true" or "false"');
+    },
+    url: (value) => {
+        try {
+            new URL(value);
+        } catch {
+            throw new Error("must be a valid URL");
+        }
+        return value;
+    },
+    // Comma-separated values, e.g. CORS_ORIGIN=https://a.example,https://b.example
+    list: (value) =>
+        value
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean),
+    enum: (value, { values = [] }) => {
+        if (!values.includes(value)) {
+            throw new Error(`must be one of: ${values.join(", ")}`);
+        }
+        return value;
+    },
+};
+
+/**
+ * Reads every variable in `schema` from `env` and returns them as a frozen object. Throws one
+ * error listing all the problems it found, so they can be fixed in a single pass.
+ */
+const loadConfig = <TSchema extends Record<string, Variable>>(
+    schema: TSchema,
+    env: NodeJS.ProcessEnv = process.env,
+): ConfigOf<TSchema> => {
+    const isProduction = env.NODE_ENV === "production";
+    const values: Record<string, unknown> = {};
+    const problems: string[] = [];
+
+    for (const [name, variable] of Object.entries(schema)) {
+        const rawValue = env[name]?.trim();
+
+        if (!rawValue) {
+            if (isProduction && variable.requiredInProduction) {
+                problems.push(`${name} must be set in production`);
+            } else if (variable.required && variable.default === undefined) {
+                problems.push(`${name} is required`);
+            }
+
+            values[name] = variable.default;
+            continue;
+        }
+
+        if (isProduction && rawValue === variable.placeholder) {
+            problems.push(`${name} still has the placeholder value from .env.example`);
+            continue;
+        }
+
+        try {
+            values[name] = parsers[variable.type](rawValue, variable);
+        } catch (error) {
+            problems.push(`${name} ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid environment configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    }
+
+    for (const value of Object.values(values)) {
+        if (Array.isArray(value)) {
+            Object.freeze(value);
+        }
+    }
+
+    return Object.freeze(values) as ConfigOf<TSchema>;
+};
+
+const config = loadConfig(schema);
+
+export type Config = typeof config;
+
+export { config, loadConfig };
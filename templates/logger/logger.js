@@ -0,0 +1,25 @@
+import { pino } from "pino";
+import { config } from "#config/index.js";
+import { getRequestId } from "#utils/requestContext.js";
+
+const enablePrettyLogs = config.NODE_ENV === "development" && config.PINO_PRETTY;
+
+/**
+ * The app-wide logger, also used by pino-http for the request logs. Lines written while a
+ * request is handled get its `reqId`, so `logger.info(...)` in a service can be matched to the
+ * request without passing `req` around.
+ */
+const logger = pino({
+    mixin() {
+        const reqId = getRequestId();
+        return reqId ? { reqId } : {};
+    },
+    transport: enablePrettyLogs
+        ? {
+              target: "pino-pretty",
+              options: { colorize: true },
+          }
+        : undefined,
+});
+
+export { logger };
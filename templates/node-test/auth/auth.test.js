@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app } from '../src/app.js';
+import { setMailTransport } from '../src/utils/mailer.util.js';
+import { buildUser, createAdmin, createUser } from './factories/user.factory.js';
+
+// tests/setup.js empties the in-memory database after every test, so each test creates its own
+// users. Verification emails are dropped instead of printed.
+setMailTransport({ sendMail: async () => {} });
+
+describe('Auth API', () => {
+  describe('POST /api/v1/auth/register', () => {
+    it('should create the user and return a token', async () => {
+      const details = buildUser();
+      const response = await request(app).post('/api/v1/auth/register').send(details);
+
+      assert.equal(response.status, 201);
+      assert.equal(typeof response.body.data.token, 'string');
+      assert.equal(response.body.data.user.email, details.email);
+      assert.equal(response.body.data.user.password, undefined);
+    });
+
+    it('should reject an email that is already registered', async () => {
+      const { user } = await createUser();
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send(buildUser({ email: user.email }));
+
+      assert.equal(response.status, 409);
+    });
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+    it('should log in with the right password', async () => {
+      const { user, password } = await createUser();
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: user.email, password });
+
+      assert.equal(response.status, 200);
+      assert.equal(typeof response.body.data.token, 'string');
+      assert.equal(response.body.data.user.id, user.id);
+    });
+
+    it('should reject a wrong password', async () => {
+      const { user } = await createUser();
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: user.email, password: 'wrong-password' });
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.success, false);
+    });
+
+    it('should answer at most LOGIN_MAX_ATTEMPTS wrong passwords sent at once before locking', async () => {
+      const { user } = await createUser();
+      const responses = await Promise.all(
+        Array.from({ length: 10 }, () =>
+          request(app).post('/api/v1/auth/login').send({ email: user.email, password: 'wrong-password' }),
+        ),
+      );
+      const statuses = responses.map(({ status }) => status);
+
+      assert.ok(statuses.filter((status) => status === 401).length <= 5);
+      assert.ok(statuses.filter((status) => status === 423).length >= 5);
+    });
+  });
+
+  describe('GET /api/v1/auth/profile', () => {
+    it('should return the profile for a valid token', async () => {
+      const { user, token } = await createUser();
+      const response = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.user.email, user.email);
+    });
+
+    it('should reject requests without a token', async () => {
+      const response = await request(app).get('/api/v1/auth/profile');
+
+      assert.equal(response.status, 401);
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', 'Bearer not-a-real-token');
+
+      assert.equal(response.status, 401);
+    });
+  });
+
+  describe('GET /api/v1/admin/users', () => {
+    it('should only let admins in', async () => {
+      const { token: userToken } = await createUser();
+      const { user: admin, token: adminToken } = await createAdmin();
+
+      const forbiddenResponse = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${userToken}`);
+      const usersResponse = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      // Newest first, so the admin created last is listed before the user.
+      assert.equal(forbiddenResponse.status, 403);
+      assert.equal(usersResponse.status, 200);
+      assert.equal(usersResponse.body.data.users.length, 2);
+      assert.equal(usersResponse.body.data.users[0].email, admin.email);
+    });
+  });
+});
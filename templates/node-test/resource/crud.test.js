@@ -0,0 +1,67 @@
+
+
+  // The test setup file empties the in-memory database after every test, so each test
+  // creates the __LABEL__ it needs through the API.
+  const sample__MODEL_NAME__ = __SAMPLE_FIELDS__;
+
+  const create__MODEL_NAME__ = async () => {
+    const response = await request(app)
+      .post('/api/__API_VERSION__/__ROUTE_PATH__')__AUTH_HEADER__
+      .send(sample__MODEL_NAME__);
+
+    return response.body.data.__VARIABLE_NAME__;
+  };
+
+  it('should create a __LABEL__', async () => {
+    const response = await request(app)
+      .post('/api/__API_VERSION__/__ROUTE_PATH__')__AUTH_HEADER__
+      .send(sample__MODEL_NAME__);
+
+    assert.equal(response.status, 201);
+    for (const [field, value] of Object.entries(sample__MODEL_NAME__)) {
+      assert.deepEqual(response.body.data.__VARIABLE_NAME__[field], value);
+    }
+  });
+
+  it('should list every __LABEL__', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .get('/api/__API_VERSION__/__ROUTE_PATH__')__AUTH_HEADER__;
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.meta.total, 1);
+    assert.equal(response.body.data.__PLURAL_VARIABLE_NAME__[0]._id, created._id);
+  });
+
+  it('should get a __LABEL__ by id', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .get(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__;
+
+    assert.equal(response.status, 200);
+    for (const [field, value] of Object.entries(sample__MODEL_NAME__)) {
+      assert.deepEqual(response.body.data.__VARIABLE_NAME__[field], value);
+    }
+  });
+
+  it('should update a __LABEL__', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .patch(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__
+      .send({ __UPDATED_FIELD__: __UPDATED_VALUE__ });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.__VARIABLE_NAME__.__UPDATED_FIELD__, __UPDATED_VALUE__);
+  });
+
+  it('should delete a __LABEL__', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .delete(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__;
+    const lookup = await request(app)
+      .get(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__;
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.id, created._id);
+    assert.equal(lookup.status, 404);
+  });
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app } from '../src/app.js';
+__AUTH_TEST_IMPORT__
+
+describe('__TITLE__ API', () => {
+  it('should reject an invalid __LABEL__ id', async () => {
+    const response = await request(app)
+      .get('/api/__API_VERSION__/__ROUTE_PATH__/not-a-valid-id')__AUTH_HEADER__;
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.message, 'Invalid __LABEL__ id.');
+  });
+
+  it('should reject sorting by a field that is not sortable', async () => {
+    const response = await request(app)
+      .get('/api/__API_VERSION__/__ROUTE_PATH__?sort=-unknownField&limit=500')__AUTH_HEADER__;
+    const invalidFields = [];
+    for (const { location, field } of response.body.errors) {
+      invalidFields.push(`${location}.${field}`);
+    }
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(invalidFields.sort(), ['query.limit', 'query.sort']);
+  });__AUTH_TEST____CRUD_TESTS__
+});
@@ -0,0 +1,250 @@
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app } from '../src/app.js';
+import { db, migrateDB } from '../src/db/index.js';
+import User, { ROLES } from '../src/models/user.model.js';
+import { setMailTransport } from '../src/utils/mailer.util.js';
+
+// Emails are captured here instead of printed, so tests can read the links they contain.
+let mailCount = 0;
+let lastMail = { to: '', text: '' };
+setMailTransport({
+  sendMail: async (message) => {
+    mailCount += 1;
+    lastMail = message;
+  },
+});
+
+const credentials = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'supersecret123',
+};
+
+before(async () => {
+  await migrateDB();
+});
+
+after(async () => {
+  await db.destroy();
+});
+
+describe('Auth API', () => {
+  it('should register, log in, and return the profile', async () => {
+    const registerResponse = await request(app).post('/api/v1/auth/register').send(credentials);
+
+    assert.equal(registerResponse.status, 201);
+    assert.equal(registerResponse.body.data.user.email, credentials.email);
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    assert.equal(loginResponse.status, 200);
+
+    const profileResponse = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${loginResponse.body.data.token}`);
+
+    assert.equal(profileResponse.status, 200);
+    assert.equal(profileResponse.body.data.user.name, credentials.name);
+    assert.equal(profileResponse.body.data.user.password, undefined);
+  });
+
+  it('should authenticate with cookies and rotate the refresh token', async () => {
+    const agent = request.agent(app);
+    const loginResponse = await agent
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+    const [firstRefreshCookie] =
+      String(loginResponse.headers['set-cookie']).match(/refreshToken=[^;]+/) ?? [];
+
+    assert.equal(loginResponse.status, 200);
+    assert.match(String(loginResponse.headers['set-cookie']), /refreshToken=[^;]+;.*HttpOnly/);
+
+    const profileResponse = await agent.get('/api/v1/auth/profile');
+    const refreshResponse = await agent.post('/api/v1/auth/refresh');
+
+    assert.equal(profileResponse.status, 200);
+    assert.equal(refreshResponse.status, 200);
+    assert.equal(typeof refreshResponse.body.data.token, 'string');
+
+    // Replaying the rotated token revokes the whole family, including the agent's new token.
+    const reuseResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .set('Cookie', String(firstRefreshCookie));
+    const revokedResponse = await agent.post('/api/v1/auth/refresh');
+
+    assert.equal(reuseResponse.status, 401);
+    assert.equal(revokedResponse.status, 401);
+  });
+
+  it('should revoke the refresh token on logout', async () => {
+    const agent = request.agent(app);
+    await agent
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    const logoutResponse = await agent.post('/api/v1/auth/logout');
+    const refreshResponse = await agent.post('/api/v1/auth/refresh');
+
+    assert.equal(logoutResponse.status, 200);
+    assert.equal(refreshResponse.status, 401);
+  });
+
+  it('should limit the admin routes to admins', async () => {
+    const userLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+    const forbiddenResponse = await request(app)
+      .get('/api/v1/admin/users')
+      .set('Authorization', `Bearer ${userLogin.body.data.token}`);
+
+    assert.equal(userLogin.body.data.user.role, ROLES.USER);
+    assert.equal(forbiddenResponse.status, 403);
+
+    // The role is read from the token, so the promotion only applies after logging in again.
+    await User.setRole(userLogin.body.data.user.id, ROLES.ADMIN);
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+    const usersResponse = await request(app)
+      .get('/api/v1/admin/users')
+      .set('Authorization', `Bearer ${adminLogin.body.data.token}`);
+
+    assert.equal(usersResponse.status, 200);
+    assert.equal(usersResponse.body.data.users.length, 1);
+    assert.equal(usersResponse.body.data.users[0].email, credentials.email);
+    assert.equal(usersResponse.body.data.users[0].role, ROLES.ADMIN);
+    assert.equal(usersResponse.body.data.users[0].password, undefined);
+  });
+
+  it('should reject invalid input with field-level errors', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: ' ', email: 'not-an-email', password: 'short' });
+    const invalidFields = [];
+    for (const { location, field } of response.body.errors) {
+      invalidFields.push(`${location}.${field}`);
+    }
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(invalidFields.sort(), ['body.email', 'body.name', 'body.password']);
+  });
+
+  it('should reject duplicate emails and wrong passwords', async () => {
+    const duplicateResponse = await request(app).post('/api/v1/auth/register').send(credentials);
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: 'wrong-password' });
+
+    assert.equal(duplicateResponse.status, 409);
+    assert.equal(loginResponse.status, 401);
+  });
+
+  it('should verify the email address once with the mailed token', async () => {
+    const registerResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Verify Me', email: 'verify@example.com', password: 'supersecret123' });
+    const [, token] = lastMail.text.match(/token=([\w-]+)/) ?? [];
+
+    assert.equal(registerResponse.body.data.user.emailVerified, false);
+    assert.equal(lastMail.to, 'verify@example.com');
+
+    const verifyResponse = await request(app).post('/api/v1/auth/verify-email').send({ token });
+    const reuseResponse = await request(app).post('/api/v1/auth/verify-email').send({ token });
+
+    assert.equal(verifyResponse.status, 200);
+    assert.equal(verifyResponse.body.data.user.emailVerified, true);
+    assert.equal(reuseResponse.status, 400);
+  });
+
+  it('should reset the password with a single-use token and end existing sessions', async () => {
+    const agent = request.agent(app);
+    await agent
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    const mailCountBefore = mailCount;
+    const unknownResponse = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+    const forgotResponse = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: credentials.email });
+    const [, token] = lastMail.text.match(/token=([\w-]+)/) ?? [];
+
+    assert.equal(unknownResponse.body.message, forgotResponse.body.message);
+    assert.equal(mailCount, mailCountBefore + 1);
+
+    const newPassword = 'brand-new-password';
+    const resetResponse = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, password: newPassword });
+    const reuseResponse = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, password: 'another-password' });
+    const refreshResponse = await agent.post('/api/v1/auth/refresh');
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: newPassword });
+
+    assert.equal(resetResponse.status, 200);
+    assert.equal(reuseResponse.status, 400);
+    assert.equal(refreshResponse.status, 401);
+    assert.equal(loginResponse.status, 200);
+  });
+
+  it('should lock the account after repeated wrong passwords', async () => {
+    const account = { name: 'Locked Out', email: 'locked@example.com', password: 'supersecret123' };
+    await request(app).post('/api/v1/auth/register').send(account);
+
+    let lastStatus = 0;
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: account.email, password: 'wrong-password' });
+      lastStatus = response.status;
+    }
+
+    const lockedResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: account.email, password: account.password });
+
+    assert.equal(lastStatus, 401);
+    assert.equal(lockedResponse.status, 423);
+    assert.ok(Number(lockedResponse.headers['retry-after']) > 0);
+  });
+
+  it('should answer at most LOGIN_MAX_ATTEMPTS wrong passwords sent at once before locking', async () => {
+    const account = { name: 'Burst', email: 'burst@example.com', password: 'supersecret123' };
+    await request(app).post('/api/v1/auth/register').send(account);
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () =>
+        request(app).post('/api/v1/auth/login').send({ email: account.email, password: 'wrong-password' }),
+      ),
+    );
+    const statuses = responses.map(({ status }) => status);
+
+    assert.ok(statuses.filter((status) => status === 401).length <= 5);
+    assert.ok(statuses.filter((status) => status === 423).length >= 5);
+  });
+
+  it('should throttle logins from an IP address with too many failures', async () => {
+    // Failures from unknown emails count towards the per-IP limit without locking any account.
+    let throttledResponse = null;
+    for (let attempt = 0; attempt <= 25 && !throttledResponse; attempt += 1) {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: `nobody-${attempt}@example.com`, password: 'wrong-password' });
+
+      if (response.status === 429) {
+        throttledResponse = response;
+      }
+    }
+
+    assert.notEqual(throttledResponse, null);
+    assert.ok(Number(throttledResponse?.headers['retry-after']) > 0);
+  });
+});
@@ -0,0 +1,3 @@
+// node:test, unlike Jest and Vitest, does not set NODE_ENV=test. The test scripts preload this
+// file so src/config falls back to its test defaults.
+process.env.NODE_ENV ??= 'test';
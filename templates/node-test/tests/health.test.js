@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app } from '../src/app.js';
+import { registerHealthCheck } from '../src/utils/healthChecks.js';
+__DB_IMPORT__
+
+__DB_TEARDOWN__
+
+describe('Health probes', () => {
+  it('should report liveness without checking dependencies', async () => {
+    const response = await request(app).get('/health/live');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.status, 'UP');
+  });
+
+  it('should report readiness with per-check details', async () => {
+    registerHealthCheck('test-dependency', async () => {});
+
+    const upResponse = await request(app).get('/health/ready');
+
+    assert.equal(upResponse.body.data.checks['test-dependency'].status, 'UP');
+    assert.ok(upResponse.body.data.memory.rssMb > 0);
+
+    registerHealthCheck('test-dependency', async () => {
+      throw new Error('Connection refused');
+    });
+
+    const downResponse = await request(app).get('/health/ready');
+
+    assert.equal(downResponse.status, 503);
+    assert.equal(downResponse.body.data.status, 'DOWN');
+    assert.equal(downResponse.body.data.checks['test-dependency'].error, 'Connection refused');
+  });
+});
@@ -0,0 +1,13 @@
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { app } from '../src/app.js';
+
+describe('Healthcheck API', () => {
+  it('should return 200 OK', async () => {
+    const response = await request(app).get('/api/v1/healthcheck');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.message, 'App is running smoothly');
+  });
+});
@@ -0,0 +1,32 @@
+import fs from 'fs';
+import { parseEnv } from 'util';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// The test scripts load this file into every test file's process (node --import), so each file
+// talks to its own throwaway MongoDB instead of the one in MONGODB_URI. Test-only settings
+// go in .env.test; they are loaded before the test file imports src/config, and variables set
+// in the shell win.
+if (fs.existsSync('.env.test')) {
+  Object.assign(process.env, { ...parseEnv(fs.readFileSync('.env.test', 'utf8')), ...process.env });
+}
+
+let mongoServer: MongoMemoryServer | undefined;
+
+// The first run downloads a MongoDB binary, so it takes longer than the ones after it.
+before(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Every test starts from an empty database, so tests create what they need with the factories.
+afterEach(async () => {
+  const collections = (await mongoose.connection.db?.collections()) ?? [];
+
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await mongoServer?.stop();
+});
@@ -0,0 +1,227 @@
+import { errorResponse, jsonBody, successResponse } from "./components.js";
+
+const authResult = { $ref: "#/components/schemas/AuthResult" };
+
+const refreshTokenCookie = {
+  name: "refreshToken",
+  in: "cookie",
+  description: "httpOnly refresh token set by register, login and refresh",
+  schema: { type: "string" },
+};
+
+// Every successful sign-in rotates both auth cookies.
+const sessionCookiesHeader = {
+  "Set-Cookie": {
+    description: "httpOnly accessToken and refreshToken cookies",
+    schema: { type: "string" },
+  },
+};
+
+// Lockouts and throttled logins say when the client may try again.
+const retryAfterHeader = {
+  "Retry-After": {
+    description: "Seconds until another login attempt is accepted",
+    schema: { type: "integer" },
+  },
+};
+
+export const authDocs = {
+  tags: [
+    { name: "Auth", description: "Registration, sessions and the current user" },
+    { name: "Admin", description: "Routes limited to users with the admin role" },
+  ],
+  schemas: {
+    User: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        name: { type: "string", example: "Ada Lovelace" },
+        email: { type: "string", format: "email", example: "ada@example.com" },
+        role: { type: "string", enum: ["user", "admin"], example: "user" },
+        emailVerified: { type: "boolean" },
+        createdAt: { type: "string", format: "date-time" },
+        updatedAt: { type: "string", format: "date-time" },
+      },
+    },
+    AuthResult: {
+      type: "object",
+      properties: {
+        token: { type: "string", description: "Short-lived JWT to send as a bearer token" },
+        user: { $ref: "#/components/schemas/User" },
+      },
+    },
+    RegisterRequest: {
+      type: "object",
+      required: ["name", "email", "password"],
+      properties: {
+        name: { type: "string", minLength: 1, example: "Ada Lovelace" },
+        email: { type: "string", format: "email", example: "ada@example.com" },
+        password: { type: "string", format: "password", minLength: 8 },
+      },
+    },
+    TokenRequest: {
+      type: "object",
+      required: ["token"],
+      properties: {
+        token: { type: "string", description: "Token from the link in the email" },
+      },
+    },
+    ForgotPasswordRequest: {
+      type: "object",
+      required: ["email"],
+      properties: {
+        email: { type: "string", format: "email", example: "ada@example.com" },
+      },
+    },
+    ResetPasswordRequest: {
+      type: "object",
+      required: ["token", "password"],
+      properties: {
+        token: { type: "string", description: "Token from the password reset email" },
+        password: { type: "string", format: "password", minLength: 8 },
+      },
+    },
+    LoginRequest: {
+      type: "object",
+      required: ["email", "password"],
+      properties: {
+        email: { type: "string", format: "email", example: "ada@example.com" },
+        password: { type: "string", format: "password" },
+      },
+    },
+  },
+  paths: {
+    "/api/v1/auth/register": {
+      post: {
+        tags: ["Auth"],
+        summary: "Create an account and return a token",
+        requestBody: jsonBody("RegisterRequest"),
+        responses: {
+          201: { ...successResponse("Registration successful", authResult), headers: sessionCookiesHeader },
+          400: errorResponse("Invalid request body", "ValidationError"),
+          409: errorResponse("A user with that email already exists"),
+        },
+      },
+    },
+    "/api/v1/auth/login": {
+      post: {
+        tags: ["Auth"],
+        summary: "Exchange credentials for a token",
+        requestBody: jsonBody("LoginRequest"),
+        responses: {
+          200: { ...successResponse("Login successful", authResult), headers: sessionCookiesHeader },
+          400: errorResponse("Invalid request body", "ValidationError"),
+          401: errorResponse("Invalid email or password"),
+          423: { ...errorResponse("Account locked after too many failed attempts"), headers: retryAfterHeader },
+          429: { ...errorResponse("Too many failed attempts from this IP address"), headers: retryAfterHeader },
+        },
+      },
+    },
+    "/api/v1/auth/refresh": {
+      post: {
+        tags: ["Auth"],
+        summary: "Rotate the refresh token cookie and return a new access token",
+        parameters: [refreshTokenCookie],
+        responses: {
+          200: {
+            ...successResponse("Token refreshed", {
+              type: "object",
+              properties: { token: { type: "string" } },
+            }),
+            headers: sessionCookiesHeader,
+          },
+          401: errorResponse("Missing, expired, revoked or reused refresh token"),
+        },
+      },
+    },
+    "/api/v1/auth/logout": {
+      post: {
+        tags: ["Auth"],
+        summary: "Revoke the refresh token and clear the auth cookies",
+        parameters: [refreshTokenCookie],
+        responses: {
+          200: successResponse("Logged out", { nullable: true }),
+        },
+      },
+    },
+    "/api/v1/auth/verify-email": {
+      post: {
+        tags: ["Auth"],
+        summary: "Confirm the email address with the token sent at registration",
+        requestBody: jsonBody("TokenRequest"),
+        responses: {
+          200: successResponse("Email verified", {
+            type: "object",
+            properties: { user: { $ref: "#/components/schemas/User" } },
+          }),
+          400: errorResponse("Invalid, used or expired token"),
+        },
+      },
+    },
+    "/api/v1/auth/resend-verification": {
+      post: {
+        tags: ["Auth"],
+        summary: "Email a new verification link to the current user",
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+        responses: {
+          200: successResponse("Verification email sent", { nullable: true }),
+          401: errorResponse("Missing or invalid token"),
+          409: errorResponse("The email address is already verified"),
+        },
+      },
+    },
+    "/api/v1/auth/forgot-password": {
+      post: {
+        tags: ["Auth"],
+        summary: "Email a password reset link",
+        description: "Answers the same way whether or not the email belongs to an account.",
+        requestBody: jsonBody("ForgotPasswordRequest"),
+        responses: {
+          200: successResponse("Reset link sent if the account exists", { nullable: true }),
+          400: errorResponse("Invalid request body", "ValidationError"),
+        },
+      },
+    },
+    "/api/v1/auth/reset-password": {
+      post: {
+        tags: ["Auth"],
+        summary: "Choose a new password and sign out every session",
+        requestBody: jsonBody("ResetPasswordRequest"),
+        responses: {
+          200: successResponse("Password reset", { nullable: true }),
+          400: errorResponse("Invalid body, or an invalid, used or expired token"),
+        },
+      },
+    },
+    "/api/v1/auth/profile": {
+      get: {
+        tags: ["Auth"],
+        summary: "Return the authenticated user",
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+        responses: {
+          200: successResponse("The current user", {
+            type: "object",
+            properties: { user: { $ref: "#/components/schemas/User" } },
+          }),
+          401: errorResponse("Missing or invalid token"),
+          404: errorResponse("The user no longer exists"),
+        },
+      },
+    },
+    "/api/v1/admin/users": {
+      get: {
+        tags: ["Admin"],
+        summary: "List every user",
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+        responses: {
+          200: successResponse("All users, newest first", {
+            type: "object",
+            properties: { users: { type: "array", items: { $ref: "#/components/schemas/User" } } },
+          }),
+          401: errorResponse("Missing or invalid token"),
+          403: errorResponse("The user is not an admin"),
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,83 @@
+const schemaRef = (schemaName) => ({ $ref: `#/components/schemas/${schemaName}` });
+
+export const jsonBody = (schemaName) => ({
+  required: true,
+  content: { "application/json": { schema: schemaRef(schemaName) } },
+});
+
+// Successful responses use the ApiResponse envelope with a route-specific `data` schema.
+export const successResponse = (description, dataSchema = {}) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: {
+        allOf: [schemaRef("ApiResponse"), { type: "object", properties: { data: dataSchema } }],
+      },
+    },
+  },
+});
+
+export const errorResponse = (description, schemaName = "ApiError") => ({
+  description,
+  content: { "application/json": { schema: schemaRef(schemaName) } },
+});
+
+export const securitySchemes = {
+  bearerAuth: {
+    type: "http",
+    scheme: "bearer",
+    bearerFormat: "JWT",
+  },
+  // Browsers authenticate with the httpOnly cookie the auth routes set at login.
+  cookieAuth: {
+    type: "apiKey",
+    in: "cookie",
+    name: "accessToken",
+  },
+};
+
+export const sharedSchemas = {
+  ApiResponse: {
+    type: "object",
+    required: ["statusCode", "data", "message", "success"],
+    properties: {
+      statusCode: { type: "integer", example: 200 },
+      data: {},
+      message: { type: "string", example: "Success" },
+      success: { type: "boolean", example: true },
+    },
+  },
+  ApiError: {
+    type: "object",
+    required: ["statusCode", "data", "message", "success", "errors"],
+    properties: {
+      statusCode: { type: "integer", example: 404 },
+      data: { nullable: true, example: null },
+      message: { type: "string", example: "Route not found: /api/v1/unknown" },
+      success: { type: "boolean", example: false },
+      errors: { type: "array", items: {} },
+    },
+  },
+  FieldError: {
+    type: "object",
+    required: ["location", "field", "message"],
+    properties: {
+      location: { type: "string", enum: ["params", "query", "body"] },
+      field: { type: "string", example: "email" },
+      message: { type: "string", example: "Enter a valid email address." },
+    },
+  },
+  ValidationError: {
+    allOf: [
+      schemaRef("ApiError"),
+      {
+        type: "object",
+        properties: {
+          statusCode: { type: "integer", example: 400 },
+          message: { type: "string", example: "Validation failed" },
+          errors: { type: "array", items: schemaRef("FieldError") },
+        },
+      },
+    ],
+  },
+};
@@ -0,0 +1,8 @@
+import fs from "fs";
+import path from "path";
+import { openApiDocument } from "../src/docs/openapi.js";
+
+const outputPath = path.resolve(process.argv[2] || "openapi.json");
+
+fs.writeFileSync(outputPath, `${JSON.stringify(openApiDocument, null, 2)}\n`);
+console.log(`OpenAPI document written to ${outputPath}`);
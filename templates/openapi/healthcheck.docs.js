@@ -0,0 +1,87 @@
+import { errorResponse, successResponse } from "./components.js";
+
+const dependencyCheck = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: ["UP", "DOWN"] },
+    responseTimeMs: { type: "integer", example: 3 },
+    error: { type: "string", example: "Timed out after 2000ms" },
+  },
+};
+
+export const healthcheckDocs = {
+  tags: [{ name: "Healthcheck", description: "Service status" }],
+  schemas: {
+    HealthStatus: {
+      type: "object",
+      properties: {
+        status: { type: "string", example: "OK" },
+        timestamp: { type: "integer", example: 1735689600000 },
+      },
+    },
+    Liveness: {
+      type: "object",
+      properties: {
+        status: { type: "string", example: "UP" },
+        uptime: { type: "integer", description: "Seconds since the process started", example: 120 },
+      },
+    },
+    Readiness: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["UP", "DOWN"] },
+        checks: { type: "object", additionalProperties: dependencyCheck },
+        version: { type: "string", example: "1.0.0" },
+        uptime: { type: "integer", description: "Seconds since the process started", example: 120 },
+        memory: {
+          type: "object",
+          properties: {
+            rssMb: { type: "number", example: 72.4 },
+            heapTotalMb: { type: "number", example: 24.1 },
+            heapUsedMb: { type: "number", example: 18.9 },
+          },
+        },
+      },
+    },
+  },
+  paths: {
+    "/health/live": {
+      get: {
+        tags: ["Healthcheck"],
+        summary: "Liveness probe: the process is running",
+        responses: {
+          200: successResponse("The process is alive", { $ref: "#/components/schemas/Liveness" }),
+        },
+      },
+    },
+    "/health/ready": {
+      get: {
+        tags: ["Healthcheck"],
+        summary: "Readiness probe: every registered dependency is reachable",
+        responses: {
+          200: successResponse("Every dependency is up", { $ref: "#/components/schemas/Readiness" }),
+          // The same ApiResponse envelope as a success, with success: false and every check listed.
+          503: successResponse("At least one dependency is down", { $ref: "#/components/schemas/Readiness" }),
+        },
+      },
+    },
+    "/api/v1/healthcheck": {
+      get: {
+        tags: ["Healthcheck"],
+        summary: "Check that the API is running",
+        responses: {
+          200: successResponse("The API is up", { $ref: "#/components/schemas/HealthStatus" }),
+        },
+      },
+    },
+    "/api/v1/healthcheck/error": {
+      get: {
+        tags: ["Healthcheck"],
+        summary: "Trigger the global error handler",
+        responses: {
+          400: errorResponse("Always fails with an ApiError"),
+        },
+      },
+    },
+  },
+};
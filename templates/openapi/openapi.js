@@ -0,0 +1,52 @@
+import { securitySchemes, sharedSchemas } from "./components.js";
+import { healthcheckDocs } from "./healthcheck.docs.js";
+__AUTH_DOCS_IMPORT__
+import { apiVersions } from "#routes/versions.js";
+
+// Every route group documents itself in a *.docs.js file. Add new groups here.
+const sections = [__DOC_SECTIONS__];
+
+const paths = Object.assign({}, ...sections.map((section) => section.paths));
+
+// Versions added with the api-version command start out serving the routes of the version they
+// were copied from, so they reuse its docs until a *.docs.js file describes their own paths.
+const forkedVersions = {};
+
+for (const [version, from] of Object.entries(forkedVersions)) {
+  for (const [path, operations] of Object.entries(paths)) {
+    if (path.startsWith(`/api/${from}/`)) {
+      paths[`/api/${version}/${path.slice(`/api/${from}/`.length)}`] ??= structuredClone(operations);
+    }
+  }
+}
+
+// Operations under a version deprecated in src/routes/versions show up as deprecated.
+for (const [path, operations] of Object.entries(paths)) {
+  const [, version = ""] = /^\/api\/(v\d+)\//.exec(path) ?? [];
+
+  if (apiVersions[version]?.deprecated) {
+    for (const operation of Object.values(operations)) {
+      operation.deprecated = true;
+    }
+  }
+}
+
+/**
+ * OpenAPI 3 description of the API. It is served by Swagger UI at /api-docs and as JSON
+ * at /api-docs.json, and the docs:export script writes it to openapi.json.
+ */
+export const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: __TITLE__,
+    version: "1.0.0",
+    description: __DESCRIPTION__,
+  },
+  servers: [{ url: "/" }],
+  tags: sections.flatMap((section) => section.tags),
+  paths,
+  components: {
+    securitySchemes,
+    schemas: Object.assign({ ...sharedSchemas }, ...sections.map((section) => section.schemas)),
+  },
+};
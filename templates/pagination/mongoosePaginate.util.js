@@ -0,0 +1,109 @@
+import { buildPageLinks, encodeCursor } from "#middlewares/paginate.middleware.js";
+
+const MONGO_OPERATORS = {
+    eq: "$eq",
+    ne: "$ne",
+    gt: "$gt",
+    gte: "$gte",
+    lt: "$lt",
+    lte: "$lte",
+    in: "$in",
+};
+
+// Mongoose casts the string values from the query string to each field's schema type.
+const toMongoFilter = (filters) => {
+    const filter = {};
+
+    for (const { field, operator, value } of filters) {
+        filter[field] = { ...filter[field], [MONGO_OPERATORS[operator]]: value };
+    }
+
+    return filter;
+};
+
+// Every condition has to match, so the route's own filter can never be overridden by the query.
+const combineFilters = (...filters) => {
+    const conditions = filters.filter((filter) => Object.keys(filter).length > 0);
+    return conditions.length > 1 ? { $and: conditions } : (conditions[0] ?? {});
+};
+
+// Items after the cursor in sort order; `_id` breaks ties between equal sort values.
+const afterCursor = ({ field, direction }, cursor) => {
+    const operator = direction === 1 ? "$gt" : "$lt";
+
+    if (field === "_id") {
+        return { _id: { [operator]: cursor.id } };
+    }
+
+    return {
+        $or: [
+            { [field]: { [operator]: cursor.value } },
+            { [field]: cursor.value, _id: { [operator]: cursor.id } },
+        ],
+    };
+};
+
+const pageThrough = async (Model, listQuery, where, projection) => {
+    const { page, limit, skip, sort } = listQuery;
+    const lastDirection = sort.at(-1)?.direction ?? 1;
+    // Without a unique last key, items with equal sort values can move between pages.
+    const sortBy = Object.fromEntries(sort.map(({ field, direction }) => [field, direction]));
+    sortBy._id ??= lastDirection;
+
+    const [items, total] = await Promise.all([
+        Model.find(where, projection).sort(sortBy).skip(skip).limit(limit),
+        Model.countDocuments(where),
+    ]);
+
+    return { items, meta: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+};
+
+const cursorThrough = async (Model, listQuery, where, projection) => {
+    const { limit, cursor } = listQuery;
+    const [sort = { field: "_id", direction: 1 }] = listQuery.sort;
+    // The cursor is built from the sort field, so it has to be loaded even when not selected.
+    const fields = projection && [...new Set([...projection.split(" "), sort.field])].join(" ");
+
+    // One extra item tells whether another page exists without counting the collection.
+    const found = await Model.find(cursor ? combineFilters(where, afterCursor(sort, cursor)) : where, fields)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1);
+    const items = found.slice(0, limit);
+    const last = items.at(-1);
+    const hasMore = found.length > limit;
+
+    return {
+        items,
+        meta: {
+            limit,
+            hasMore,
+            nextCursor: hasMore && last ? encodeCursor({ value: last.get(sort.field), id: last.id }) : null,
+        },
+    };
+};
+
+/**
+ * Runs the list query parsed by the paginate() middleware against a Mongoose model.
+ * `filter` is applied on top of the client's filters, e.g. `{ owner: req.user.id }`.
+ * Returns the items and the `{ meta, links }` that PaginatedApiResponse expects.
+ * @param {import("mongoose").Model<any>} Model
+ * @param {import("express").Request} req
+ * @param {{ filter?: Record<string, unknown> }} [options]
+ */
+const paginateModel = async (Model, req, { filter = {} } = {}) => {
+    const { listQuery } = req;
+    if (!listQuery) {
+        throw new Error("paginateModel() needs the paginate() middleware on the route.");
+    }
+
+    const where = combineFilters(filter, toMongoFilter(listQuery.filters));
+    const projection = listQuery.fields ? listQuery.fields.join(" ") : undefined;
+    const { items, meta } =
+        listQuery.mode === "cursor"
+            ? await cursorThrough(Model, listQuery, where, projection)
+            : await pageThrough(Model, listQuery, where, projection);
+
+    return { items, pagination: { meta, links: buildPageLinks(req, meta) } };
+};
+
+export { paginateModel };
@@ -0,0 +1,88 @@
+import type { Request } from "express";
+import mongoose from "mongoose";
+import __MODEL_NAME__, { type I__MODEL_NAME__ } from "#models/__FILE_NAME__.model.js";
+import { ApiError } from "#utils/ApiError.js";
+import { asyncHandler } from "#utils/asyncHandler.js";
+import { ApiResponse, PaginatedApiResponse } from "#utils/ApiResponse.js";
+import { paginateModel } from "#utils/mongoosePaginate.util.js";
+
+type EditableField = __FIELD_UNION__;
+type IdRequest = Request<{ id: string }>;
+
+const EDITABLE_FIELDS: readonly string[] = [__FIELD_NAMES__] satisfies EditableField[];
+
+const pickEditableFields = (
+  body: Record<string, unknown> = {},
+): Partial<Pick<I__MODEL_NAME__, EditableField>> => {
+  return Object.fromEntries(
+    Object.entries(body).filter(([field]) => EDITABLE_FIELDS.includes(field)),
+  );
+};
+
+const findByIdOrThrow = async (id: string) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid __LABEL__ id.");
+  }
+
+  const __VARIABLE_NAME__ = await __MODEL_NAME__.findById(id);
+
+  if (!__VARIABLE_NAME__) {
+    throw new ApiError(404, "__TITLE__ not found.");
+  }
+
+  return __VARIABLE_NAME__;
+};
+
+export const __VARIABLE_NAME__Controller = {
+  list: asyncHandler(async (req, res) => {
+    const { items: __PLURAL_VARIABLE_NAME__, pagination } = await paginateModel(__MODEL_NAME__, req);
+
+    return res
+      .status(200)
+      .json(
+        new PaginatedApiResponse(
+          200,
+          { __PLURAL_VARIABLE_NAME__ },
+          pagination,
+          "__PLURAL_TITLE__ retrieved successfully",
+        ),
+      );
+  }),
+
+  getById: asyncHandler(async (req: IdRequest, res) => {
+    const __VARIABLE_NAME__ = await findByIdOrThrow(req.params.id);
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { __VARIABLE_NAME__ }, "__TITLE__ retrieved successfully"));
+  }),
+
+  create: asyncHandler(async (req, res) => {
+    const __VARIABLE_NAME__ = await __MODEL_NAME__.create(pickEditableFields(req.body));
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, { __VARIABLE_NAME__ }, "__TITLE__ created successfully"));
+  }),
+
+  update: asyncHandler(async (req: IdRequest, res) => {
+    const __VARIABLE_NAME__ = await findByIdOrThrow(req.params.id);
+
+    __VARIABLE_NAME__.set(pickEditableFields(req.body));
+    await __VARIABLE_NAME__.save();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { __VARIABLE_NAME__ }, "__TITLE__ updated successfully"));
+  }),
+
+  remove: asyncHandler(async (req: IdRequest, res) => {
+    const __VARIABLE_NAME__ = await findByIdOrThrow(req.params.id);
+
+    await __VARIABLE_NAME__.deleteOne();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { id: __VARIABLE_NAME__.id }, "__TITLE__ deleted successfully"));
+  }),
+};
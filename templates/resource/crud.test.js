@@ -0,0 +1,63 @@
+
+
+  // The test setup file empties the in-memory database after every test, so each test
+  // creates the __LABEL__ it needs through the API.
+  const sample__MODEL_NAME__ = __SAMPLE_FIELDS__;
+
+  const create__MODEL_NAME__ = async () => {
+    const response = await request(app)
+      .post('/api/__API_VERSION__/__ROUTE_PATH__')__AUTH_HEADER__
+      .send(sample__MODEL_NAME__);
+
+    return response.body.data.__VARIABLE_NAME__;
+  };
+
+  it('should create a __LABEL__', async () => {
+    const response = await request(app)
+      .post('/api/__API_VERSION__/__ROUTE_PATH__')__AUTH_HEADER__
+      .send(sample__MODEL_NAME__);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.__VARIABLE_NAME__).toMatchObject(sample__MODEL_NAME__);
+  });
+
+  it('should list every __LABEL__', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .get('/api/__API_VERSION__/__ROUTE_PATH__')__AUTH_HEADER__;
+
+    expect(response.status).toBe(200);
+    expect(response.body.meta.total).toBe(1);
+    expect(response.body.data.__PLURAL_VARIABLE_NAME__[0]._id).toBe(created._id);
+  });
+
+  it('should get a __LABEL__ by id', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .get(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__;
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.__VARIABLE_NAME__).toMatchObject(sample__MODEL_NAME__);
+  });
+
+  it('should update a __LABEL__', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .patch(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__
+      .send({ __UPDATED_FIELD__: __UPDATED_VALUE__ });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.__VARIABLE_NAME__.__UPDATED_FIELD__).toEqual(__UPDATED_VALUE__);
+  });
+
+  it('should delete a __LABEL__', async () => {
+    const created = await create__MODEL_NAME__();
+    const response = await request(app)
+      .delete(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__;
+    const lookup = await request(app)
+      .get(`/api/__API_VERSION__/__ROUTE_PATH__/${created._id}`)__AUTH_HEADER__;
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.id).toBe(created._id);
+    expect(lookup.status).toBe(404);
+  });
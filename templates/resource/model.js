@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+const __VARIABLE_NAME__Schema = new mongoose.Schema(
+  {
+__SCHEMA_FIELDS__
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const __MODEL_NAME__ = mongoose.models.__MODEL_NAME__ || mongoose.model("__MODEL_NAME__", __VARIABLE_NAME__Schema);
+
+export default __MODEL_NAME__;
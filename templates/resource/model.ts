@@ -0,0 +1,22 @@
+import mongoose, { type Model } from "mongoose";
+
+export interface I__MODEL_NAME__ {
+__INTERFACE_FIELDS__
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const __VARIABLE_NAME__Schema = new mongoose.Schema<I__MODEL_NAME__>(
+  {
+__SCHEMA_FIELDS__
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const __MODEL_NAME__ =
+  (mongoose.models.__MODEL_NAME__ as Model<I__MODEL_NAME__> | undefined) ||
+  mongoose.model<I__MODEL_NAME__>("__MODEL_NAME__", __VARIABLE_NAME__Schema);
+
+export default __MODEL_NAME__;
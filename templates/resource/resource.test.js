@@ -0,0 +1,27 @@
+import request from 'supertest';
+import { app } from '../src/app.js';
+__AUTH_TEST_IMPORT__
+
+describe('__TITLE__ API', () => {
+  it('should reject an invalid __LABEL__ id', async () => {
+    const response = await request(app)
+      .get('/api/__API_VERSION__/__ROUTE_PATH__/not-a-valid-id')__AUTH_HEADER__;
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toBe('Invalid __LABEL__ id.');
+  });
+
+  it('should reject sorting by a field that is not sortable', async () => {
+    const response = await request(app)
+      .get('/api/__API_VERSION__/__ROUTE_PATH__?sort=-unknownField&limit=500')__AUTH_HEADER__;
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ location: 'query', field: 'sort' }),
+        expect.objectContaining({ location: 'query', field: 'limit' }),
+      ]),
+    );
+  });__AUTH_TEST____CRUD_TESTS__
+});
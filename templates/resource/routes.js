@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { __VARIABLE_NAME__Controller } from '#controllers/__FILE_NAME__.controller.js';
+import { paginate } from '#middlewares/paginate.middleware.js';
+__AUTH_IMPORT__
+
+const router = Router();
+
+__AUTH_SETUP__
+router
+  .route('/')
+  .get(
+    paginate({
+      sortable: [__SORTABLE_FIELDS__],
+      filterable: [__FILTERABLE_FIELDS__],
+    }),
+    __VARIABLE_NAME__Controller.list,
+  )
+  .post(__VARIABLE_NAME__Controller.create);
+router
+  .route('/:id')
+  .get(__VARIABLE_NAME__Controller.getById)
+  .patch(__VARIABLE_NAME__Controller.update)
+  .delete(__VARIABLE_NAME__Controller.remove);
+
+__BASE_PATH__
+export default router;
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { loadRoutes } from "#utils/routeLoader.js";
+
+// Everything served under /api/v1. Middleware added here with router.use() runs for this
+// version only.
+const router = Router();
+
+// Mounts every src/routes/**/*.routes.js file; health.routes.js is mounted at /health in src/app.
+await loadRoutes(router, { prefix: "/api/v1", ignore: ["health.routes.js"] });
+
+export default router;
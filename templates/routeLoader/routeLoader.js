@@ -0,0 +1,131 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { config } from "#config/index.js";
+
+const ROUTES_DIR = fileURLToPath(new URL("../routes/", import.meta.url));
+
+// Matches product.routes.js, and product.routes.ts under tsx and Jest, but not declaration files.
+const ROUTE_FILE = /\.routes\.[jt]s$/;
+
+// Version folders (src/routes/v1, ...) hold the routers that call loadRoutes() themselves.
+const VERSION_DIR = /^v\d+$/;
+
+const findRouteFiles = (directory, relativeDir = "") =>
+    fs
+        .readdirSync(path.join(directory, relativeDir), { withFileTypes: true })
+        .flatMap((entry) => {
+            const relativePath = path.posix.join(relativeDir, entry.name);
+
+            if (entry.isDirectory()) {
+                return VERSION_DIR.test(entry.name) && !relativeDir ? [] : findRouteFiles(directory, relativePath);
+            }
+
+            return ROUTE_FILE.test(entry.name) ? [relativePath] : [];
+        })
+        .sort();
+
+const joinPaths = (...parts) => `/${parts.flatMap((part) => part.split("/")).filter(Boolean).join("/")}`;
+
+// "admin/users.routes.js" -> "/admin/users", "admin/index.routes.js" -> "/admin"
+const toBasePath = (file) =>
+    joinPaths(
+        ...file
+            .replace(ROUTE_FILE, "")
+            .split("/")
+            .filter((segment) => segment !== "index"),
+    );
+
+// The routes a router declares itself, e.g. [{ method: "GET", path: "/:id" }].
+const listRoutes = (router) =>
+    router.stack.flatMap(({ route }) => {
+        if (!route || typeof route.path !== "string") {
+            return [];
+        }
+
+        return Object.keys(route.methods)
+            .filter((method) => method !== "_all")
+            .map((method) => ({ method: method.toUpperCase(), path: route.path }));
+    });
+
+const logRouteTable = (routes) => {
+    const methodWidth = Math.max(...routes.map(({ method }) => method.length));
+    const pathWidth = Math.max(...routes.map(({ path: routePath }) => routePath.length));
+
+    console.log(
+        [
+            "Routes:",
+            ...routes.map(
+                ({ method, path: routePath, file }) =>
+                    `  ${method.padEnd(methodWidth)}  ${routePath.padEnd(pathWidth)}  ${file}`,
+            ),
+        ].join("\n"),
+    );
+};
+
+/**
+ * Mounts every *.routes.js file under src/routes on `router`, so adding a route file is all it
+ * takes to serve it. The mount path comes from the file's folder and name (admin/users.routes.js is
+ * mounted at /admin/users, index.routes.js at its folder) unless the file exports `basePath`.
+ * A file can also export `middleware`, one handler or an array, that runs before all its routes.
+ *
+ * Two files with the same mount path, or the same method and path, stop the app at startup.
+ * `prefix` is only used in messages and in the route table logged outside tests; `ignore` lists
+ * files (relative to src/routes) that are mounted elsewhere.
+ */
+const loadRoutes = async (router, { prefix = "", ignore = [], directory = ROUTES_DIR } = {}) => {
+    const files = findRouteFiles(directory).filter((file) => !ignore.includes(file));
+    const modules = [];
+
+    // One at a time: Jest's ESM loader fails on parallel imports that share dependencies.
+    for (const file of files) {
+        modules.push({ file, module: (await import(pathToFileURL(path.join(directory, file)).href)) });
+    }
+
+    const mounts = new Map();
+    const routes = new Map();
+    const problems = [];
+
+    for (const { file, module } of modules) {
+        if (typeof module.default !== "function") {
+            problems.push(`${file} must default-export an Express router`);
+            continue;
+        }
+
+        const basePath = joinPaths(module.basePath ?? toBasePath(file));
+        if (mounts.has(basePath)) {
+            problems.push(`${file} and ${mounts.get(basePath).file} are both mounted at ${joinPaths(prefix, basePath)}`);
+            continue;
+        }
+
+        mounts.set(basePath, { file, router: module.default, middleware: [module.middleware ?? []].flat() });
+
+        for (const { method, path: routePath } of listRoutes(module.default)) {
+            const fullPath = joinPaths(prefix, basePath, routePath);
+            const key = `${method} ${fullPath}`;
+
+            if (routes.has(key)) {
+                problems.push(`${key} is declared in both ${routes.get(key).file} and ${file}`);
+            } else {
+                routes.set(key, { method, path: fullPath, file });
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Could not load the routes in src/routes:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    }
+
+    for (const [basePath, { router: fileRouter, middleware }] of mounts) {
+        router.use(basePath, ...middleware, fileRouter);
+    }
+
+    const routeTable = [...routes.values()];
+    if (config.NODE_ENV !== "test" && routeTable.length > 0) {
+        logRouteTable(routeTable);
+    }
+
+    return routeTable;
+};
+
+export { loadRoutes };
@@ -0,0 +1,252 @@
+import request from 'supertest';
+import { app } from '../src/app.js';
+import { db, migrateDB } from '../src/db/index.js';
+import User, { ROLES } from '../src/models/user.model.js';
+import { setMailTransport } from '../src/utils/mailer.util.js';
+
+// Emails are captured here instead of printed, so tests can read the links they contain.
+let mailCount = 0;
+let lastMail = { to: '', text: '' };
+setMailTransport({
+  sendMail: async (message) => {
+    mailCount += 1;
+    lastMail = message;
+  },
+});
+
+const credentials = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'supersecret123',
+};
+
+beforeAll(async () => {
+  await migrateDB();
+});
+
+afterAll(async () => {
+  await db.destroy();
+});
+
+describe('Auth API', () => {
+  it('should register, log in, and return the profile', async () => {
+    const registerResponse = await request(app).post('/api/v1/auth/register').send(credentials);
+
+    expect(registerResponse.status).toBe(201);
+    expect(registerResponse.body.data.user.email).toBe(credentials.email);
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    expect(loginResponse.status).toBe(200);
+
+    const profileResponse = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${loginResponse.body.data.token}`);
+
+    expect(profileResponse.status).toBe(200);
+    expect(profileResponse.body.data.user.name).toBe(credentials.name);
+    expect(profileResponse.body.data.user.password).toBeUndefined();
+  });
+
+  it('should authenticate with cookies and rotate the refresh token', async () => {
+    const agent = request.agent(app);
+    const loginResponse = await agent
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+    const [firstRefreshCookie] =
+      String(loginResponse.headers['set-cookie']).match(/refreshToken=[^;]+/) ?? [];
+
+    expect(loginResponse.status).toBe(200);
+    expect(String(loginResponse.headers['set-cookie'])).toMatch(/refreshToken=[^;]+;.*HttpOnly/);
+
+    const profileResponse = await agent.get('/api/v1/auth/profile');
+    const refreshResponse = await agent.post('/api/v1/auth/refresh');
+
+    expect(profileResponse.status).toBe(200);
+    expect(refreshResponse.status).toBe(200);
+    expect(refreshResponse.body.data.token).toEqual(expect.any(String));
+
+    // Replaying the rotated token revokes the whole family, including the agent's new token.
+    const reuseResponse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .set('Cookie', String(firstRefreshCookie));
+    const revokedResponse = await agent.post('/api/v1/auth/refresh');
+
+    expect(reuseResponse.status).toBe(401);
+    expect(revokedResponse.status).toBe(401);
+  });
+
+  it('should revoke the refresh token on logout', async () => {
+    const agent = request.agent(app);
+    await agent
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    const logoutResponse = await agent.post('/api/v1/auth/logout');
+    const refreshResponse = await agent.post('/api/v1/auth/refresh');
+
+    expect(logoutResponse.status).toBe(200);
+    expect(refreshResponse.status).toBe(401);
+  });
+
+  it('should limit the admin routes to admins', async () => {
+    const userLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+    const forbiddenResponse = await request(app)
+      .get('/api/v1/admin/users')
+      .set('Authorization', `Bearer ${userLogin.body.data.token}`);
+
+    expect(userLogin.body.data.user.role).toBe(ROLES.USER);
+    expect(forbiddenResponse.status).toBe(403);
+
+    // The role is read from the token, so the promotion only applies after logging in again.
+    await User.setRole(userLogin.body.data.user.id, ROLES.ADMIN);
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+    const usersResponse = await request(app)
+      .get('/api/v1/admin/users')
+      .set('Authorization', `Bearer ${adminLogin.body.data.token}`);
+
+    expect(usersResponse.status).toBe(200);
+    expect(usersResponse.body.data.users).toEqual([
+      expect.objectContaining({ email: credentials.email, role: ROLES.ADMIN }),
+    ]);
+    expect(usersResponse.body.data.users[0].password).toBeUndefined();
+  });
+
+  it('should reject invalid input with field-level errors', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: ' ', email: 'not-an-email', password: 'short' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toHaveLength(3);
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ location: 'body', field: 'name' }),
+        expect.objectContaining({ location: 'body', field: 'email' }),
+        expect.objectContaining({ location: 'body', field: 'password' }),
+      ]),
+    );
+  });
+
+  it('should reject duplicate emails and wrong passwords', async () => {
+    const duplicateResponse = await request(app).post('/api/v1/auth/register').send(credentials);
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: 'wrong-password' });
+
+    expect(duplicateResponse.status).toBe(409);
+    expect(loginResponse.status).toBe(401);
+  });
+
+  it('should verify the email address once with the mailed token', async () => {
+    const registerResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Verify Me', email: 'verify@example.com', password: 'supersecret123' });
+    const [, token] = lastMail.text.match(/token=([\w-]+)/) ?? [];
+
+    expect(registerResponse.body.data.user.emailVerified).toBe(false);
+    expect(lastMail.to).toBe('verify@example.com');
+
+    const verifyResponse = await request(app).post('/api/v1/auth/verify-email').send({ token });
+    const reuseResponse = await request(app).post('/api/v1/auth/verify-email').send({ token });
+
+    expect(verifyResponse.status).toBe(200);
+    expect(verifyResponse.body.data.user.emailVerified).toBe(true);
+    expect(reuseResponse.status).toBe(400);
+  });
+
+  it('should reset the password with a single-use token and end existing sessions', async () => {
+    const agent = request.agent(app);
+    await agent
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    const mailCountBefore = mailCount;
+    const unknownResponse = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+    const forgotResponse = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: credentials.email });
+    const [, token] = lastMail.text.match(/token=([\w-]+)/) ?? [];
+
+    expect(unknownResponse.body.message).toBe(forgotResponse.body.message);
+    expect(mailCount).toBe(mailCountBefore + 1);
+
+    const newPassword = 'brand-new-password';
+    const resetResponse = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, password: newPassword });
+    const reuseResponse = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, password: 'another-password' });
+    const refreshResponse = await agent.post('/api/v1/auth/refresh');
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: credentials.email, password: newPassword });
+
+    expect(resetResponse.status).toBe(200);
+    expect(reuseResponse.status).toBe(400);
+    expect(refreshResponse.status).toBe(401);
+    expect(loginResponse.status).toBe(200);
+  });
+
+  it('should lock the account after repeated wrong passwords', async () => {
+    const account = { name: 'Locked Out', email: 'locked@example.com', password: 'supersecret123' };
+    await request(app).post('/api/v1/auth/register').send(account);
+
+    let lastStatus = 0;
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: account.email, password: 'wrong-password' });
+      lastStatus = response.status;
+    }
+
+    const lockedResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: account.email, password: account.password });
+
+    expect(lastStatus).toBe(401);
+    expect(lockedResponse.status).toBe(423);
+    expect(Number(lockedResponse.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should answer at most LOGIN_MAX_ATTEMPTS wrong passwords sent at once before locking', async () => {
+    const account = { name: 'Burst', email: 'burst@example.com', password: 'supersecret123' };
+    await request(app).post('/api/v1/auth/register').send(account);
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () =>
+        request(app).post('/api/v1/auth/login').send({ email: account.email, password: 'wrong-password' }),
+      ),
+    );
+    const statuses = responses.map(({ status }) => status);
+
+    expect(statuses.filter((status) => status === 401).length).toBeLessThanOrEqual(5);
+    expect(statuses.filter((status) => status === 423).length).toBeGreaterThanOrEqual(5);
+  });
+
+  it('should throttle logins from an IP address with too many failures', async () => {
+    // Failures from unknown emails count towards the per-IP limit without locking any account.
+    let throttledResponse = null;
+    for (let attempt = 0; attempt <= 25 && !throttledResponse; attempt += 1) {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: `nobody-${attempt}@example.com`, password: 'wrong-password' });
+
+      if (response.status === 429) {
+        throttledResponse = response;
+      }
+    }
+
+    expect(throttledResponse).not.toBeNull();
+    expect(Number(throttledResponse?.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
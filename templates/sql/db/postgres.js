@@ -0,0 +1,56 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import knex from "knex";
+import { config } from "#config/index.js";
+import { registerHealthCheck } from "#utils/healthChecks.js";
+
+const migrationsDirectory = fileURLToPath(new URL("./migrations", import.meta.url));
+
+// Tests run against an in-memory SQLite database so they never need a running PostgreSQL.
+const connectionConfig =
+    config.NODE_ENV === "test"
+        ? {
+              client: "better-sqlite3",
+              connection: { filename: ":memory:" },
+              useNullAsDefault: true,
+          }
+        : {
+              client: "pg",
+              connection: config.DATABASE_URL,
+              pool: { min: 0, max: config.DATABASE_POOL_MAX },
+          };
+
+export const db = knex({
+    ...connectionConfig,
+    migrations: {
+        directory: migrationsDirectory,
+        loadExtensions: [path.extname(fileURLToPath(import.meta.url))],
+    },
+});
+
+export const migrateDB = async () => {
+    if (fs.existsSync(migrationsDirectory)) {
+        await db.migrate.latest();
+    }
+};
+
+const connectDB = async () => {
+    if (!config.DATABASE_URL) {
+        throw new Error("DATABASE_URL must be set before connecting to PostgreSQL.");
+    }
+
+    await db.raw("select 1");
+    await migrateDB();
+    console.log(`PostgreSQL connected. Host: ${new URL(config.DATABASE_URL).host}`);
+};
+
+registerHealthCheck("postgres", async () => {
+    await db.raw("select 1");
+});
+
+export const disconnectDB = async () => {
+    await db.destroy();
+};
+
+export default connectDB;
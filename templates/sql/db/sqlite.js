@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import knex from "knex";
+import { config } from "#config/index.js";
+import { registerHealthCheck } from "#utils/healthChecks.js";
+
+const migrationsDirectory = fileURLToPath(new URL("./migrations", import.meta.url));
+
+// Tests default to an in-memory database (see src/config) so every run starts from an empty schema.
+const filename = config.SQLITE_FILENAME;
+
+export const db = knex({
+    client: "better-sqlite3",
+    connection: { filename },
+    useNullAsDefault: true,
+    migrations: {
+        directory: migrationsDirectory,
+        loadExtensions: [path.extname(fileURLToPath(import.meta.url))],
+    },
+});
+
+export const migrateDB = async () => {
+    if (fs.existsSync(migrationsDirectory)) {
+        await db.migrate.latest();
+    }
+};
+
+const connectDB = async () => {
+    if (filename !== ":memory:") {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    await db.raw("select 1");
+    await migrateDB();
+    console.log(`SQLite connected. File: ${filename}`);
+};
+
+registerHealthCheck("sqlite", async () => {
+    await db.raw("select 1");
+});
+
+export const disconnectDB = async () => {
+    await db.destroy();
+};
+
+export default connectDB;
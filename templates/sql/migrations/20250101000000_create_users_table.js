@@ -0,0 +1,22 @@
+export const up = async (knex) => {
+    await knex.schema.createTable("users", (table) => {
+        table.increments("id").primary();
+        table.string("name").notNullable();
+        table.string("email").notNullable().unique();
+        table.string("password").notNullable();
+        table.string("role").notNullable().defaultTo("user");
+        table.timestamp("email_verified_at").nullable();
+        table.string("email_verification_token_hash").nullable().index();
+        table.timestamp("email_verification_expires_at").nullable();
+        table.string("password_reset_token_hash").nullable().index();
+        table.timestamp("password_reset_expires_at").nullable();
+        table.integer("failed_login_attempts").notNullable().defaultTo(0);
+        table.timestamp("locked_until").nullable();
+        table.timestamp("created_at").notNullable();
+        table.timestamp("updated_at").notNullable();
+    });
+};
+
+export const down = async (knex) => {
+    await knex.schema.dropTableIfExists("users");
+};
@@ -0,0 +1,17 @@
+import type { Knex } from "knex";
+
+export const up = async (knex: Knex): Promise<void> => {
+    await knex.schema.createTable("refresh_tokens", (table) => {
+        table.increments("id").primary();
+        table.integer("user_id").unsigned().notNullable().references("id").inTable("users").onDelete("CASCADE");
+        table.string("token_hash").notNullable().unique();
+        table.string("family").notNullable().index();
+        table.timestamp("expires_at").notNullable();
+        table.timestamp("revoked_at").nullable();
+        table.timestamp("created_at").notNullable();
+    });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+    await knex.schema.dropTableIfExists("refresh_tokens");
+};
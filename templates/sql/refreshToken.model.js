@@ -0,0 +1,55 @@
+import { db } from "#db/index.js";
+
+const toRefreshToken = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: String(row.id),
+    userId: String(row.user_id),
+    family: row.family,
+    expiresAt: new Date(row.expires_at),
+    revokedAt: row.revoked_at ? new Date(row.revoked_at) : null,
+  };
+};
+
+// Only a SHA-256 hash of each refresh token is stored, so a database leak does not leak sessions.
+const RefreshToken = {
+  async findByHash(tokenHash) {
+    return toRefreshToken(await db("refresh_tokens").where({ token_hash: tokenHash }).first());
+  },
+
+  async create({ userId, tokenHash, family, expiresAt }) {
+    await db("refresh_tokens").insert({
+      user_id: userId,
+      token_hash: tokenHash,
+      family,
+      expires_at: expiresAt,
+      created_at: new Date(),
+    });
+  },
+
+  // Resolves to false when the token was already revoked, e.g. by a concurrent refresh.
+  async revoke(id) {
+    const updatedRows = await db("refresh_tokens")
+      .where({ id })
+      .whereNull("revoked_at")
+      .update({ revoked_at: new Date() });
+
+    return updatedRows === 1;
+  },
+
+  async revokeFamily(family) {
+    await db("refresh_tokens").where({ family }).whereNull("revoked_at").update({ revoked_at: new Date() });
+  },
+
+  async revokeAllForUser(userId) {
+    await db("refresh_tokens")
+      .where({ user_id: userId })
+      .whereNull("revoked_at")
+      .update({ revoked_at: new Date() });
+  },
+};
+
+export default RefreshToken;
@@ -0,0 +1,83 @@
+import { db } from "#db/index.js";
+
+export interface IRefreshToken {
+  id: string;
+  userId: string;
+  family: string;
+  expiresAt: Date;
+  revokedAt: Date | null;
+}
+
+interface RefreshTokenRow {
+  id: number | string;
+  user_id: number | string;
+  token_hash: string;
+  family: string;
+  expires_at: Date | number | string;
+  revoked_at: Date | number | string | null;
+  created_at: Date | number | string;
+}
+
+const toRefreshToken = (row: RefreshTokenRow | undefined): IRefreshToken | null => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: String(row.id),
+    userId: String(row.user_id),
+    family: row.family,
+    expiresAt: new Date(row.expires_at),
+    revokedAt: row.revoked_at ? new Date(row.revoked_at) : null,
+  };
+};
+
+// Only a SHA-256 hash of each refresh token is stored, so a database leak does not leak sessions.
+const RefreshToken = {
+  async findByHash(tokenHash: string): Promise<IRefreshToken | null> {
+    return toRefreshToken(
+      await db<RefreshTokenRow>("refresh_tokens").where({ token_hash: tokenHash }).first(),
+    );
+  },
+
+  async create({
+    userId,
+    tokenHash,
+    family,
+    expiresAt,
+  }: Pick<IRefreshToken, "userId" | "family" | "expiresAt"> & { tokenHash: string }): Promise<void> {
+    await db<RefreshTokenRow>("refresh_tokens").insert({
+      user_id: userId,
+      token_hash: tokenHash,
+      family,
+      expires_at: expiresAt,
+      created_at: new Date(),
+    });
+  },
+
+  // Resolves to false when the token was already revoked, e.g. by a concurrent refresh.
+  async revoke(id: string): Promise<boolean> {
+    const updatedRows = await db<RefreshTokenRow>("refresh_tokens")
+      .where({ id })
+      .whereNull("revoked_at")
+      .update({ revoked_at: new Date() });
+
+    return updatedRows === 1;
+  },
+
+  async revokeFamily(family: string): Promise<void> {
+    await db<RefreshTokenRow>("refresh_tokens")
+      .where({ family })
+      .whereNull("revoked_at")
+      .update({ revoked_at: new Date() });
+  },
+
+  async revokeAllForUser(userId: string): Promise<void> {
+    await db<RefreshTokenRow>("refresh_tokens")
+      .where({ user_id: userId })
+      .whereNull("revoked_at")
+      .update({ revoked_at: new Date() });
+  },
+};
+
+export default RefreshToken;
@@ -0,0 +1,157 @@
+import { db } from "#db/index.js";
+
+// Roles travel inside the JWT, so a role change takes effect on the next login or refresh.
+export const ROLES = Object.freeze({
+  USER: "user",
+  ADMIN: "admin",
+});
+
+const USER_COLUMNS = [
+  "id",
+  "name",
+  "email",
+  "role",
+  "email_verified_at",
+  "failed_login_attempts",
+  "locked_until",
+  "created_at",
+  "updated_at",
+];
+
+// PostgreSQL returns Date objects while SQLite stores the millisecond timestamps it was given.
+const toUser = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: String(row.id),
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    emailVerifiedAt: row.email_verified_at ? new Date(row.email_verified_at) : null,
+    failedLoginAttempts: Number(row.failed_login_attempts),
+    lockedUntil: row.locked_until ? new Date(row.locked_until) : null,
+    ...(row.password ? { password: row.password } : {}),
+    createdAt: new Date(row.created_at),
+    updatedAt: new Date(row.updated_at),
+  };
+};
+
+// Matches the user only while the account is unlocked, so checking the lock and updating the
+// counters happen in one atomic UPDATE.
+const whereUnlocked = (id) =>
+  db("users")
+    .where({ id })
+    .andWhere((query) => query.whereNull("locked_until").orWhere("locked_until", "<=", new Date()));
+
+const User = {
+  async findById(id) {
+    if (!id) {
+      return null;
+    }
+
+    return toUser(await db("users").select(USER_COLUMNS).where({ id }).first());
+  },
+
+  async findByEmail(email, { includePassword = false } = {}) {
+    const columns = includePassword ? [...USER_COLUMNS, "password"] : USER_COLUMNS;
+
+    return toUser(await db("users").select(columns).where({ email }).first());
+  },
+
+  async findAll() {
+    const rows = await db("users").select(USER_COLUMNS).orderBy("created_at", "desc");
+
+    return rows.map(toUser);
+  },
+
+  async create({ name, email, password, role = ROLES.USER }) {
+    const now = new Date();
+    const [row] = await db("users")
+      .insert({ name, email, password, role, created_at: now, updated_at: now })
+      .returning(USER_COLUMNS);
+
+    return toUser(row);
+  },
+
+  async setRole(id, role) {
+    const [row] = await db("users")
+      .where({ id })
+      .update({ role, updated_at: new Date() })
+      .returning(USER_COLUMNS);
+
+    return toUser(row);
+  },
+
+  async setEmailVerificationToken(id, { tokenHash, expiresAt }) {
+    await db("users")
+      .where({ id })
+      .update({ email_verification_token_hash: tokenHash, email_verification_expires_at: expiresAt });
+  },
+
+  // Resolves to null when the token is unknown, already used, or expired.
+  async verifyEmail(tokenHash) {
+    const now = new Date();
+    const [row] = await db("users")
+      .where({ email_verification_token_hash: tokenHash })
+      .where("email_verification_expires_at", ">", now)
+      .update({
+        email_verified_at: now,
+        email_verification_token_hash: null,
+        email_verification_expires_at: null,
+        updated_at: now,
+      })
+      .returning(USER_COLUMNS);
+
+    return toUser(row);
+  },
+
+  async setPasswordResetToken(id, { tokenHash, expiresAt }) {
+    await db("users")
+      .where({ id })
+      .update({ password_reset_token_hash: tokenHash, password_reset_expires_at: expiresAt });
+  },
+
+  // Resolves to null when the token is unknown, already used, or expired.
+  async resetPassword(tokenHash, password) {
+    const now = new Date();
+    const [row] = await db("users")
+      .where({ password_reset_token_hash: tokenHash })
+      .where("password_reset_expires_at", ">", now)
+      .update({
+        password,
+        password_reset_token_hash: null,
+        password_reset_expires_at: null,
+        failed_login_attempts: 0,
+        locked_until: null,
+        updated_at: now,
+      })
+      .returning(USER_COLUMNS);
+
+    return toUser(row);
+  },
+
+  // Resolves to the number of consecutive failed logins, including this one, or null when the
+  // account was locked while the password was being checked.
+  async recordFailedLogin(id) {
+    const [row] = await whereUnlocked(id)
+      .increment("failed_login_attempts", 1)
+      .returning(["failed_login_attempts"]);
+
+    return row ? Number(row.failed_login_attempts) : null;
+  },
+
+  // Resolves to false when the account is already locked, for example by a concurrent request.
+  async lock(id, lockedUntil) {
+    const updated = await whereUnlocked(id).update({ locked_until: lockedUntil });
+
+    return updated > 0;
+  },
+
+  async clearFailedLogins(id) {
+    await db("users").where({ id }).update({ failed_login_attempts: 0, locked_until: null });
+  },
+};
+
+export default User;
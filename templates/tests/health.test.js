@@ -0,0 +1,34 @@
+import request from 'supertest';
+import { app } from '../src/app.js';
+import { registerHealthCheck } from '../src/utils/healthChecks.js';
+__DB_IMPORT__
+
+__DB_TEARDOWN__
+
+describe('Health probes', () => {
+  it('should report liveness without checking dependencies', async () => {
+    const response = await request(app).get('/health/live');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('UP');
+  });
+
+  it('should report readiness with per-check details', async () => {
+    registerHealthCheck('test-dependency', async () => {});
+
+    const upResponse = await request(app).get('/health/ready');
+
+    expect(upResponse.body.data.checks['test-dependency'].status).toBe('UP');
+    expect(upResponse.body.data.memory.rssMb).toBeGreaterThan(0);
+
+    registerHealthCheck('test-dependency', async () => {
+      throw new Error('Connection refused');
+    });
+
+    const downResponse = await request(app).get('/health/ready');
+
+    expect(downResponse.status).toBe(503);
+    expect(downResponse.body.data.status).toBe('DOWN');
+    expect(downResponse.body.data.checks['test-dependency'].error).toBe('Connection refused');
+  });
+});
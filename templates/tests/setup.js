@@ -0,0 +1,32 @@
+import fs from 'fs';
+import { parseEnv } from 'util';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// Jest and Vitest run this file before every test file (setupFilesAfterEnv in jest.config.js,
+// setupFiles in vitest.config.js), so each file talks to its own throwaway MongoDB instead of
+// the one in MONGODB_URI. Test-only settings go in .env.test; they are loaded before the test
+// file imports src/config, and variables set in the shell win.
+if (fs.existsSync('.env.test')) {
+  Object.assign(process.env, { ...parseEnv(fs.readFileSync('.env.test', 'utf8')), ...process.env });
+}
+
+let mongoServer;
+
+// The first run downloads a MongoDB binary, which takes longer than the 5 second default timeout.
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+}, 60000);
+
+// Every test starts from an empty database, so tests create what they need with the factories.
+afterEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer?.stop();
+});
@@ -0,0 +1,46 @@
+import type { HydratedDocument } from 'mongoose';
+import User, { ROLES, type IUser, type Role } from '../../src/models/user.model.js';
+import { hashData } from '../../src/utils/hash.util.js';
+import { generateToken } from '../../src/utils/jwt.util.js';
+
+export interface UserDetails {
+  name: string;
+  email: string;
+  password: string;
+  role?: Role;
+}
+
+export interface CreatedUser {
+  user: HydratedDocument<IUser>;
+  password: string;
+  token: string;
+}
+
+let sequence = 0;
+
+// Registration details for a user that is not saved yet. Each call gets a unique email.
+export const buildUser = (overrides: Partial<UserDetails> = {}): UserDetails => {
+  sequence += 1;
+
+  return {
+    name: `Test User ${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: 'supersecret123',
+    ...overrides,
+  };
+};
+
+/**
+ * Saves a user straight to the database, skipping the register route and its email. Resolves to
+ * the document, its plain-text password for login tests and an access token for protected routes.
+ */
+export const createUser = async (overrides: Partial<UserDetails> = {}): Promise<CreatedUser> => {
+  const { password, ...details } = buildUser(overrides);
+  const user = await User.create({ ...details, password: await hashData(password) });
+  const token = generateToken({ id: user.id, email: user.email, role: user.role });
+
+  return { user, password, token };
+};
+
+export const createAdmin = (overrides: Partial<UserDetails> = {}): Promise<CreatedUser> =>
+  createUser({ role: ROLES.ADMIN, ...overrides });
@@ -0,0 +1,92 @@
+import { STATUS_CODES } from 'http';
+import type { ErrorRequestHandler, Request } from 'express';
+import { config } from '#config/index.js';
+import { ApiError } from '#utils/ApiError.js';
+import { getRequestId } from '#utils/requestContext.js';
+import { translateError, type LibraryError } from '#utils/errorTranslators.js';
+__ERROR_LOGGER_IMPORT__
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+interface ThrownError extends LibraryError {
+    status?: number;
+    statusCode?: number;
+}
+
+/**
+ * Turns any thrown value into an ApiError: known library errors through the translators,
+ * anything else with its own status code (e.g. http-errors), or a 500.
+ */
+const toApiError = (err: ThrownError): ApiError => {
+    if (err instanceof ApiError) {
+        return err;
+    }
+
+    const translated = translateError(err);
+    if (translated) {
+        return translated;
+    }
+
+    const statusCode = err.statusCode || err.status || 500;
+
+    // Unexpected errors can carry internal details (queries, file paths), so production hides them.
+    if (statusCode >= 500 && config.NODE_ENV === 'production') {
+        return new ApiError(statusCode, STATUS_CODES[statusCode] || 'Internal Server Error', [], err.stack);
+    }
+
+    const errors: unknown[] = Array.isArray(err.errors) ? err.errors : []; // Pass down any validation errors
+
+    return new ApiError(
+        statusCode,
+        err.message || 'Internal Server Error',
+        errors,
+        err.stack // Keep the original stack trace
+    );
+};
+
+// RFC 7807 problem details, sent when ERROR_FORMAT=problem or the client asks for them.
+const wantsProblemDetails = (req: Request): boolean =>
+    config.ERROR_FORMAT === 'problem' || Boolean(req.get('Accept')?.includes(PROBLEM_CONTENT_TYPE));
+
+/**
+ * Global Error Handler Middleware
+ */
+const errorHandler: ErrorRequestHandler = (err, req, res, next) => {
+    const error = toApiError(err);
+    const stack = config.NODE_ENV === 'development' ? { stack: error.stack } : {};
+    // Lets clients quote the id from the body when reporting a failure; it matches the logs.
+    const requestId = getRequestId();
+
+    if (error.statusCode >= 500 && !(err instanceof ApiError) && config.NODE_ENV !== 'test') {
+        __UNEXPECTED_ERROR_LOG__
+    }
+
+    if (wantsProblemDetails(req)) {
+        res.status(error.statusCode)
+            .type(PROBLEM_CONTENT_TYPE)
+            .json({
+                type: 'about:blank',
+                title: STATUS_CODES[error.statusCode] || 'Error',
+                status: error.statusCode,
+                detail: error.message,
+                instance: req.originalUrl,
+                ...(error.errors.length > 0 ? { errors: error.errors } : {}),
+                requestId,
+                ...stack
+            });
+        return;
+    }
+
+    // Now format the consistent response
+    const response = {
+        ...error,
+        message: error.message,
+        requestId,
+        ...stack
+    };
+
+    // Send the JSON response
+    res.status(error.statusCode).json(response);
+};
+
+export { errorHandler };
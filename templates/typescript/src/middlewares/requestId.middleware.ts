@@ -0,0 +1,23 @@
+import { randomUUID } from "crypto";
+import type { RequestHandler } from "express";
+import { runWithRequestContext } from "#utils/requestContext.js";
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Ids from clients and proxies end up in the logs, so anything unusual is replaced.
+const SAFE_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives every request an id: the incoming X-Request-Id when a proxy or client already set one,
+ * otherwise a new UUID. The id is sent back in the X-Request-Id response header and stays
+ * available through getRequestId() for the rest of the request.
+ */
+const requestId: RequestHandler = (req, res, next) => {
+    const incomingId = req.get(REQUEST_ID_HEADER);
+    const id = incomingId && SAFE_REQUEST_ID.test(incomingId) ? incomingId : randomUUID();
+
+    res.set(REQUEST_ID_HEADER, id);
+    runWithRequestContext({ requestId: id }, next);
+};
+
+export { REQUEST_ID_HEADER, requestId };
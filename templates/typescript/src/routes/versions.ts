@@ -0,0 +1,20 @@
+export interface ApiVersionLifecycle {
+    deprecated?: string;
+    sunset?: string;
+    successor?: string;
+    link?: string;
+}
+
+/**
+ * The lifecycle of every API version mounted in src/app.ts. Deprecating a version adds the
+ * Deprecation, Sunset and Link headers to each of its responses and marks its operations
+ * deprecated in the API docs, e.g.
+ *
+ *     v1: { deprecated: "2026-01-01", sunset: "2026-07-01", successor: "v2" },
+ *
+ * `deprecated` and `sunset` are dates, `successor` is the version clients should move to and
+ * `link` an optional URL explaining the change.
+ */
+export const apiVersions: Record<string, ApiVersionLifecycle> = {
+    v1: {},
+};
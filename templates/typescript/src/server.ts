@@ -0,0 +1,82 @@
+import type { Server } from "http";
+import { app } from "#app.js";
+import { config } from "#config/index.js";
+__DB_IMPORT__
+
+interface ShutdownTask {
+    name: string;
+    close: () => Promise<void>;
+}
+
+// Closed in order once the HTTP server has stopped, such as the database connection.
+const shutdownTasks: ShutdownTask[] = [];
+
+let server: Server | undefined;
+let shuttingDown = false;
+
+const startServer = (): void => {
+    server = app.listen(config.PORT, () => {
+        console.log(`Server is running on port ${config.PORT}`);
+    });
+};
+
+__SERVER_STARTUP__
+
+const closeServer = (): Promise<void> =>
+    new Promise((resolve, reject) => {
+        if (!server?.listening) {
+            resolve();
+            return;
+        }
+
+        server.close((error) => (error ? reject(error) : resolve()));
+        // Idle keep-alive connections would otherwise hold the server open until they time out.
+        server.closeIdleConnections();
+    });
+
+const shutdown = async (reason: string, exitCode = 0): Promise<void> => {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log(`${reason} received. Shutting down gracefully...`);
+
+    // Docker sends SIGKILL 10 seconds after SIGTERM, so the default timeout leaves room to spare.
+    const forceExit = setTimeout(() => {
+        console.error(`Shutdown did not finish within ${config.SHUTDOWN_TIMEOUT_MS}ms. Forcing exit.`);
+        process.exit(1);
+    }, config.SHUTDOWN_TIMEOUT_MS);
+    forceExit.unref();
+
+    try {
+        await closeServer();
+        console.log("HTTP server closed. In-flight requests have finished.");
+
+        for (const { name, close } of shutdownTasks) {
+            await close();
+            console.log(`${name} closed.`);
+        }
+    } catch (error) {
+        console.error("Graceful shutdown failed", error);
+        exitCode = 1;
+    }
+
+    process.exit(exitCode);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+process.on("unhandledRejection", (reason: unknown) => {
+    const error = reason instanceof Error ? reason : new Error(String(reason));
+
+    console.error("UNHANDLED REJECTION! Shutting down...");
+    console.error(error.name, error.message);
+    shutdown("unhandledRejection", 1);
+});
+
+process.on("uncaughtException", (error: Error) => {
+    console.error("UNCAUGHT EXCEPTION! Shutting down...");
+    console.error(error.name, error.message);
+    shutdown("uncaughtException", 1);
+});
@@ -0,0 +1,28 @@
+class ApiError<TError = unknown> extends Error {
+    public readonly statusCode: number;
+    public readonly data: null;
+    public readonly success: false;
+    public readonly errors: TError[];
+
+    constructor(
+        statusCode: number,
+        message = "Something went wrong",
+        errors: TError[] = [],
+        stack = ""
+    ) {
+        super(message);
+        this.statusCode = statusCode;
+        this.data = null;
+        this.message = message;
+        this.success = false;
+        this.errors = errors;
+
+        if (stack) {
+            this.stack = stack;
+        } else {
+            Error.captureStackTrace(this, this.constructor);
+        }
+    }
+}
+
+export { ApiError }
@@ -0,0 +1,54 @@
+class ApiResponse<TData = unknown> {
+    public readonly statusCode: number;
+    public readonly data: TData;
+    public readonly message: string;
+    public readonly success: boolean;
+
+    constructor(statusCode: number, data: TData, message = "Success") {
+        this.statusCode = statusCode;
+        this.data = data;
+        this.message = message;
+        this.success = statusCode < 400; // Success is true if status code is not an error level
+    }
+}
+
+export interface PageMeta {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+}
+
+export interface CursorMeta {
+    limit: number;
+    hasMore: boolean;
+    nextCursor: string | null;
+}
+
+export interface PageLinks {
+    next: string | null;
+    prev: string | null;
+}
+
+export interface Pagination {
+    meta: PageMeta | CursorMeta;
+    links: PageLinks;
+}
+
+/**
+ * An ApiResponse for list endpoints. `meta` holds page, limit, total and totalPages (or limit,
+ * hasMore and nextCursor for cursor pagination) and `links` the next and previous page URLs.
+ * paginateModel() returns both as `pagination`.
+ */
+class PaginatedApiResponse<TData = unknown> extends ApiResponse<TData> {
+    public readonly meta: PageMeta | CursorMeta;
+    public readonly links: PageLinks;
+
+    constructor(statusCode: number, data: TData, { meta, links }: Pagination, message = "Success") {
+        super(statusCode, data, message);
+        this.meta = meta;
+        this.links = links;
+    }
+}
+
+export { ApiResponse, PaginatedApiResponse }
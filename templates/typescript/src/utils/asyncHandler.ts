@@ -0,0 +1,17 @@
+import type { NextFunction, Request, RequestHandler, Response } from "express";
+
+type AsyncRequestHandler<TRequest extends Request, TResponse extends Response> = (
+    req: TRequest,
+    res: TResponse,
+    next: NextFunction,
+) => Promise<unknown>;
+
+const asyncHandler = <TRequest extends Request = Request, TResponse extends Response = Response>(
+    requestHandler: AsyncRequestHandler<TRequest, TResponse>,
+): RequestHandler => {
+    return (req, res, next) => {
+        Promise.resolve(requestHandler(req as TRequest, res as TResponse, next)).catch((err) => next(err));
+    };
+};
+
+export { asyncHandler };
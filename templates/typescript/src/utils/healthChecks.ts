@@ -0,0 +1,65 @@
+// Dependencies the readiness probe checks, keyed by name. The database connectors register
+// themselves here; add your own (Redis, a queue, another API) with registerHealthCheck.
+type HealthCheck = () => Promise<unknown>;
+
+interface HealthCheckOptions {
+    timeoutMs?: number;
+}
+
+export interface HealthCheckResult {
+    status: "UP" | "DOWN";
+    responseTimeMs: number;
+    error?: string;
+}
+
+const healthChecks = new Map<string, { check: HealthCheck; timeoutMs: number }>();
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+const withTimeout = <T>(promise: Promise<T>, timeoutMs: number): Promise<T> => {
+    let timer: NodeJS.Timeout | undefined;
+    const timeout = new Promise<never>((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Registers a readiness check. `check` should resolve when the dependency is usable and throw
+ * (or reject) when it is not. Checks that take longer than `timeoutMs` count as down.
+ */
+const registerHealthCheck = (
+    name: string,
+    check: HealthCheck,
+    { timeoutMs = DEFAULT_TIMEOUT_MS }: HealthCheckOptions = {},
+): void => {
+    healthChecks.set(name, { check, timeoutMs });
+};
+
+// Runs every check in parallel and reports each one as UP or DOWN with its response time.
+const runHealthChecks = async (): Promise<Record<string, HealthCheckResult>> => {
+    const results = await Promise.all(
+        [...healthChecks].map(async ([name, { check, timeoutMs }]): Promise<[string, HealthCheckResult]> => {
+            const startedAt = Date.now();
+
+            try {
+                await withTimeout(Promise.resolve().then(check), timeoutMs);
+                return [name, { status: "UP", responseTimeMs: Date.now() - startedAt }];
+            } catch (error) {
+                return [
+                    name,
+                    {
+                        status: "DOWN",
+                        responseTimeMs: Date.now() - startedAt,
+                        error: error instanceof Error ? error.message : String(error),
+                    },
+                ];
+            }
+        }),
+    );
+
+    return Object.fromEntries(results);
+};
+
+export { registerHealthCheck, runHealthChecks };
@@ -0,0 +1,17 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+export interface RequestContext {
+    requestId: string;
+}
+
+// Holds per-request data for everything that runs while a request is handled, including code
+// that never sees `req` (services, models, the logger). The requestId middleware opens it.
+const requestContext = new AsyncLocalStorage<RequestContext>();
+
+const runWithRequestContext = <T>(context: RequestContext, callback: () => T): T =>
+    requestContext.run(context, callback);
+
+// The id of the request being handled, or undefined outside a request (startup, jobs).
+const getRequestId = (): string | undefined => requestContext.getStore()?.requestId;
+
+export { getRequestId, runWithRequestContext };
@@ -0,0 +1,17 @@
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    // package.json points the #* imports at the compiled dist folder; tests run the sources.
+    alias: [
+      {
+        find: /^#(.*)\.js$/,
+        replacement: fileURLToPath(new URL("./src/$1.ts", import.meta.url)),
+      },
+    ],
+  },
+  test: {
+    environment: "node",__MIGRATION_LOADER__
+  },
+});
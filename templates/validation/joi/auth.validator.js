@@ -0,0 +1,22 @@
+import Joi from "joi";
+
+const email = Joi.string().trim().lowercase().email().required().label("Email");
+const newPassword = Joi.string().min(8).required().label("Password");
+const token = Joi.string().trim().required().label("Token");
+
+export const registerSchema = Joi.object({
+  name: Joi.string().trim().required().label("Name"),
+  email,
+  password: newPassword,
+});
+
+export const loginSchema = Joi.object({
+  email,
+  password: Joi.string().required().label("Password"),
+});
+
+export const verifyEmailSchema = Joi.object({ token });
+
+export const forgotPasswordSchema = Joi.object({ email });
+
+export const resetPasswordSchema = Joi.object({ token, password: newPassword });
@@ -0,0 +1,46 @@
+import Joi from "joi";
+
+export interface RegisterBody {
+  name: string;
+  email: string;
+  password: string;
+}
+
+export interface LoginBody {
+  email: string;
+  password: string;
+}
+
+export interface VerifyEmailBody {
+  token: string;
+}
+
+export interface ForgotPasswordBody {
+  email: string;
+}
+
+export interface ResetPasswordBody {
+  token: string;
+  password: string;
+}
+
+const email = Joi.string().trim().lowercase().email().required().label("Email");
+const newPassword = Joi.string().min(8).required().label("Password");
+const token = Joi.string().trim().required().label("Token");
+
+export const registerSchema = Joi.object<RegisterBody>({
+  name: Joi.string().trim().required().label("Name"),
+  email,
+  password: newPassword,
+});
+
+export const loginSchema = Joi.object<LoginBody>({
+  email,
+  password: Joi.string().required().label("Password"),
+});
+
+export const verifyEmailSchema = Joi.object<VerifyEmailBody>({ token });
+
+export const forgotPasswordSchema = Joi.object<ForgotPasswordBody>({ email });
+
+export const resetPasswordSchema = Joi.object<ResetPasswordBody>({ token, password: newPassword });
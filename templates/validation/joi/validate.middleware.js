@@ -0,0 +1,54 @@
+import { ApiError } from "#utils/ApiError.js";
+
+const REQUEST_LOCATIONS = ["params", "query", "body"];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Validates parts of the request against Joi schemas.
+ * Converted values replace the originals, so handlers receive trimmed and coerced data.
+ * Failures are forwarded as a 400 ApiError with one entry per invalid field.
+ * @param {{ body?: import("joi").Schema, query?: import("joi").Schema, params?: import("joi").Schema }} schemas
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of REQUEST_LOCATIONS) {
+    const schema = schemas[location];
+    if (!schema) {
+      continue;
+    }
+
+    const { error, value } = schema.validate(req[location] ?? {}, VALIDATION_OPTIONS);
+    if (error) {
+      errors.push(
+        ...error.details.map((detail) => ({
+          location,
+          field: detail.path.join("."),
+          message: detail.message,
+        })),
+      );
+      continue;
+    }
+
+    // Express 5 exposes req.query through a getter, so the converted value is defined instead of assigned.
+    Object.defineProperty(req, location, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  if (errors.length > 0) {
+    return next(new ApiError(400, "Validation failed", errors));
+  }
+
+  return next();
+};
+
+export { validate };
@@ -0,0 +1,65 @@
+import type { NextFunction, Request, Response } from "express";
+import type { Schema, ValidationOptions } from "joi";
+import { ApiError } from "#utils/ApiError.js";
+
+type RequestLocation = "params" | "query" | "body";
+
+export type RequestSchemas = Partial<Record<RequestLocation, Schema>>;
+
+export interface FieldError {
+  location: RequestLocation;
+  field: string;
+  message: string;
+}
+
+const REQUEST_LOCATIONS: RequestLocation[] = ["params", "query", "body"];
+
+const VALIDATION_OPTIONS: ValidationOptions = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Validates parts of the request against Joi schemas.
+ * Converted values replace the originals, so handlers receive trimmed and coerced data.
+ * Failures are forwarded as a 400 ApiError with one entry per invalid field.
+ */
+const validate = (schemas: RequestSchemas) => (req: Request, _res: Response, next: NextFunction) => {
+  const errors: FieldError[] = [];
+
+  for (const location of REQUEST_LOCATIONS) {
+    const schema = schemas[location];
+    if (!schema) {
+      continue;
+    }
+
+    const { error, value } = schema.validate(req[location] ?? {}, VALIDATION_OPTIONS);
+    if (error) {
+      errors.push(
+        ...error.details.map((detail) => ({
+          location,
+          field: detail.path.join("."),
+          message: detail.message,
+        })),
+      );
+      continue;
+    }
+
+    // Express 5 exposes req.query through a getter, so the converted value is defined instead of assigned.
+    Object.defineProperty(req, location, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  if (errors.length > 0) {
+    return next(new ApiError<FieldError>(400, "Validation failed", errors));
+  }
+
+  return next();
+};
+
+export { validate };
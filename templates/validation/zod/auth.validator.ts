@@ -0,0 +1,36 @@
+import { z } from "zod";
+
+const email = z
+  .string({ error: "Email is required." })
+  .trim()
+  .toLowerCase()
+  .email("Enter a valid email address.");
+
+const newPassword = z
+  .string({ error: "Password is required." })
+  .min(8, "Password must be at least 8 characters long.");
+
+const token = z.string({ error: "Token is required." }).trim().min(1, "Token is required.");
+
+export const registerSchema = z.object({
+  name: z.string({ error: "Name is required." }).trim().min(1, "Name is required."),
+  email,
+  password: newPassword,
+});
+
+export const loginSchema = z.object({
+  email,
+  password: z.string({ error: "Password is required." }).min(1, "Password is required."),
+});
+
+export const verifyEmailSchema = z.object({ token });
+
+export const forgotPasswordSchema = z.object({ email });
+
+export const resetPasswordSchema = z.object({ token, password: newPassword });
+
+export type RegisterBody = z.infer<typeof registerSchema>;
+export type LoginBody = z.infer<typeof loginSchema>;
+export type VerifyEmailBody = z.infer<typeof verifyEmailSchema>;
+export type ForgotPasswordBody = z.infer<typeof forgotPasswordSchema>;
+export type ResetPasswordBody = z.infer<typeof resetPasswordSchema>;
@@ -0,0 +1,48 @@
+import { ApiError } from "#utils/ApiError.js";
+
+const REQUEST_LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Validates parts of the request against zod schemas.
+ * Parsed values replace the originals, so handlers receive trimmed and coerced data.
+ * Failures are forwarded as a 400 ApiError with one entry per invalid field.
+ * @param {{ body?: import("zod").ZodType, query?: import("zod").ZodType, params?: import("zod").ZodType }} schemas
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of REQUEST_LOCATIONS) {
+    const schema = schemas[location];
+    if (!schema) {
+      continue;
+    }
+
+    const result = schema.safeParse(req[location] ?? {});
+    if (!result.success) {
+      errors.push(
+        ...result.error.issues.map((issue) => ({
+          location,
+          field: issue.path.join("."),
+          message: issue.message,
+        })),
+      );
+      continue;
+    }
+
+    // Express 5 exposes req.query through a getter, so the parsed value is defined instead of assigned.
+    Object.defineProperty(req, location, {
+      value: result.data,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  if (errors.length > 0) {
+    return next(new ApiError(400, "Validation failed", errors));
+  }
+
+  return next();
+};
+
+export { validate };
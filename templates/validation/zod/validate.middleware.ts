@@ -0,0 +1,59 @@
+import type { NextFunction, Request, Response } from "express";
+import type { ZodType } from "zod";
+import { ApiError } from "#utils/ApiError.js";
+
+type RequestLocation = "params" | "query" | "body";
+
+export type RequestSchemas = Partial<Record<RequestLocation, ZodType>>;
+
+export interface FieldError {
+  location: RequestLocation;
+  field: string;
+  message: string;
+}
+
+const REQUEST_LOCATIONS: RequestLocation[] = ["params", "query", "body"];
+
+/**
+ * Validates parts of the request against zod schemas.
+ * Parsed values replace the originals, so handlers receive trimmed and coerced data.
+ * Failures are forwarded as a 400 ApiError with one entry per invalid field.
+ */
+const validate = (schemas: RequestSchemas) => (req: Request, _res: Response, next: NextFunction) => {
+  const errors: FieldError[] = [];
+
+  for (const location of REQUEST_LOCATIONS) {
+    const schema = schemas[location];
+    if (!schema) {
+      continue;
+    }
+
+    const result = schema.safeParse(req[location] ?? {});
+    if (!result.success) {
+      errors.push(
+        ...result.error.issues.map((issue) => ({
+          location,
+          field: issue.path.join("."),
+          message: issue.message,
+        })),
+      );
+      continue;
+    }
+
+    // Express 5 exposes req.query through a getter, so the parsed value is defined instead of assigned.
+    Object.defineProperty(req, location, {
+      value: result.data,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  if (errors.length > 0) {
+    return next(new ApiError<FieldError>(400, "Validation failed", errors));
+  }
+
+  return next();
+};
+
+export { validate };
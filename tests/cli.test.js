@@ -2,9 +2,22 @@ import assert from "node:assert/strict";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
 import vm from "node:vm";
 
-import { createProject, runCli } from "../bin/cli.js";
+import {
+  addFeature,
+  createProject,
+  forkApiVersion,
+  generateResource,
+  loadPreset,
+  parseCliArgs,
+  parseResourceFields,
+  runCli,
+  validatePreset,
+} from "../bin/cli.js";
+
+const repoRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
 
 const silentLogger = {
   log() {},
@@ -24,7 +37,40 @@ const readText = (...segments) => fs.readFileSync(path.join(...segments), "utf8"
 
 const readJson = (...segments) => JSON.parse(readText(...segments));
 
-const collectJsFiles = (dirPath) => {
+// Generated modules read src/config once on import, so the variables have to be set around the import.
+const withEnv = async (variables, callback) => {
+  const previous = Object.fromEntries(Object.keys(variables).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, variables);
+
+  try {
+    return await callback();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+};
+
+const importProjectFile = (projectPath, ...segments) =>
+  import(pathToFileURL(path.join(projectPath, ...segments)).href);
+
+// pino is not installed next to the generated projects, so modules that log get a logger that
+// records its calls instead.
+const stubProjectLogger = (projectPath) => {
+  const calls = [];
+  globalThis.projectLoggerCalls = calls;
+  fs.writeFileSync(
+    path.join(projectPath, "src", "utils", "logger.js"),
+    "export const logger = { error: (...args) => globalThis.projectLoggerCalls.push(args) };\n",
+  );
+  return calls;
+};
+
+const collectJsFiles = (dirPath, extension = ".js") => {
   const files = [];
 
   for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
@@ -32,13 +78,13 @@ const collectJsFiles = (dirPath) => {
 
     if (entry.isDirectory()) {
       if (entry.name !== "node_modules") {
-        files.push(...collectJsFiles(entryPath));
+        files.push(...collectJsFiles(entryPath, extension));
       }
 
       continue;
     }
 
-    if (entry.name.endsWith(".js")) {
+    if (entry.name.endsWith(extension)) {
       files.push(entryPath);
     }
   }
@@ -51,18 +97,21 @@ const assertSyntaxValid = (projectPath) => {
     const source = fs
       .readFileSync(jsFile, "utf8")
       .replace(/^import\s.+?;$/gm, "")
-      .replace(/^export\s+default\s+/gm, "")
+      // Kept as an expression, so an exported object literal does not parse as a block.
+      .replace(/^export\s+default\s+/gm, "void ")
       .replace(/^export\s+\{[^}]+\};?$/gm, "")
-      .replace(/^export\s+/gm, "");
+      .replace(/^export\s+/gm, "")
+      .replace(/\bimport\.meta\b/g, "importMeta");
 
+    // Wrapped in an async function, so modules with top-level await parse as well.
     assert.doesNotThrow(() => {
-      new vm.Script(source, { filename: jsFile });
+      new vm.Script(`(async () => {\n${source}\n})`, { filename: jsFile });
     }, `Expected ${jsFile} to parse successfully.`);
   }
 };
 
-const assertNoTemplateTokens = (projectPath) => {
-  for (const jsFile of collectJsFiles(projectPath)) {
+const assertNoTemplateTokens = (projectPath, extension = ".js") => {
+  for (const jsFile of collectJsFiles(projectPath, extension)) {
     const contents = fs.readFileSync(jsFile, "utf8");
     assert.equal(
       contents.includes("__"),
@@ -147,13 +196,23 @@ registerTest(
           "helmet",
           "jsonwebtoken",
           "mongoose",
+          "nodemailer",
           "pino",
           "pino-http",
+          "zod",
         ],
       );
       assert.deepEqual(
         Object.keys(packageJson.devDependencies).sort(),
-        ["@dotenvx/dotenvx", "jest", "nodemon", "pino-pretty", "prettier", "supertest"],
+        [
+          "@dotenvx/dotenvx",
+          "jest",
+          "mongodb-memory-server",
+          "nodemon",
+          "pino-pretty",
+          "prettier",
+          "supertest",
+        ],
       );
 
       assert.match(envExample, /JWT_SECRET=replace-me-with-a-long-random-secret/);
@@ -161,12 +220,27 @@ registerTest(
       assert.match(envLocal, /JWT_SECRET=unit-test-secret/);
       assert.match(envLocal, /PINO_PRETTY=true/);
 
-      assert.match(appCode, /const enablePrettyLogs/);
+      assert.match(appCode, /genReqId: \(\) => getRequestId\(\) \?\? randomUUID\(\),/);
+      assert.match(readText(projectPath, "src", "utils", "logger.js"), /const enablePrettyLogs/);
       assert.match(appCode, /credentials: !allowAllOrigins && allowedOrigins.length > 0/);
-      assert.match(appCode, /app\.use\("\/api\/v1\/auth", authRouter\);/);
+      assert.match(appCode, /app\.use\("\/api\/v1", apiVersion\("v1"\), createLimiter\(\), v1Router\);/);
+      assert.match(readText(projectPath, "src", "routes", "v1", "index.js"), /router\.use\("\/auth", authRouter\);/);
       assert.doesNotMatch(appCode, /import\("pino-pretty"\)/);
       assert.doesNotMatch(dbCode, /DB_NAME/);
-      assert.match(dbCode, /mongoose\.connect\(process\.env\.MONGODB_URI\)/);
+      assert.match(dbCode, /mongoose\.connect\(config\.MONGODB_URI\)/);
+
+      // Auth tests run against an in-memory MongoDB started by the Jest setup file.
+      assert.match(
+        readText(projectPath, "jest.config.js"),
+        /setupFilesAfterEnv: \["<rootDir>\/tests\/setup\.js"\]/,
+      );
+      assert.match(readText(projectPath, "tests", "setup.js"), /await MongoMemoryServer\.create\(\)/);
+      assert.match(readText(projectPath, "tests", "setup.js"), /afterEach\(async/);
+      assert.match(
+        readText(projectPath, "tests", "factories", "user.factory.js"),
+        /export const createUser = async/,
+      );
+      assert.match(readText(projectPath, "tests", "auth.test.js"), /from '\.\/factories\/user\.factory\.js'/);
 
       assert.match(dockerfile, /FROM node:22-alpine/);
       assert.match(dockerfile, /RUN npm install --omit=dev/);
@@ -551,6 +625,2377 @@ registerTest("supports the interactive CLI path end to end without spawning a su
   }
 });
 
+registerTest("parses non-interactive flags into a createProject config", () => {
+  const parsed = parseCliArgs([
+    "node",
+    "bin/cli.js",
+    "flag-app",
+    "--pm",
+    "pnpm",
+    "--no-mongoose",
+    "--auth",
+    "--docker",
+    "--no-git",
+    "--description=Flag driven",
+    "--author",
+    "CI Bot",
+    "-y",
+  ]);
+
+  assert.equal(parsed.projectName, "flag-app");
+  assert.equal(parsed.yes, true);
+  assert.deepEqual(parsed.config, {
+    packageManager: "pnpm",
+    deps: { mongoose: false },
+    initAuth: true,
+    initDocker: true,
+    initGit: false,
+    description: "Flag driven",
+    author: "CI Bot",
+  });
+
+  assert.throws(() => parseCliArgs(["node", "bin/cli.js", "--mongo"]), /Unknown option: --mongo/);
+  assert.throws(() => parseCliArgs(["node", "bin/cli.js", "--no-yes"]), /Unknown option/);
+  assert.throws(() => parseCliArgs(["node", "bin/cli.js", "--pm"]), /requires a value/);
+  assert.throws(() => parseCliArgs(["node", "bin/cli.js", "--pm", "deno"]), /Unsupported package manager/);
+  assert.throws(() => parseCliArgs(["node", "bin/cli.js", "one", "two"]), /Unexpected argument: two/);
+});
+
+registerTest("scaffolds without prompting when --yes is combined with flags", async () => {
+  const tempRoot = createTempRoot();
+  const questioner = {
+    ask(prompt) {
+      throw new Error(`Unexpected prompt: ${prompt}`);
+    },
+    close() {},
+  };
+
+  const previousSkipInstall = process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+  process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = "1";
+
+  try {
+    await runCli({
+      argv: [
+        "node",
+        "bin/cli.js",
+        "yes-app",
+        "--yes",
+        "--pm",
+        "yarn",
+        "--no-mongoose",
+        "--no-git",
+        "--no-docker",
+        "--no-auth",
+        "--no-pino-pretty",
+      ],
+      cwd: tempRoot,
+      logger: silentLogger,
+      questioner,
+    });
+
+    const projectPath = path.join(tempRoot, "yes-app");
+    const packageJson = readJson(projectPath, "package.json");
+
+    assert.equal(packageJson.name, "yes-app");
+    assert.equal(fs.existsSync(path.join(projectPath, "src", "db")), false);
+    assert.equal(fs.existsSync(path.join(projectPath, "Dockerfile")), false);
+    assert.equal(fs.existsSync(path.join(projectPath, "tests", "healthcheck.test.js")), true);
+    assert.equal(packageJson.dependencies.helmet, "latest");
+    assert.equal(packageJson.devDependencies["pino-pretty"], undefined);
+    assert.equal(fs.existsSync(path.join(projectPath, ".git")), false);
+  } finally {
+    if (previousSkipInstall === undefined) {
+      delete process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+    } else {
+      process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = previousSkipInstall;
+    }
+
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("prints help and version output without scaffolding", async () => {
+  const logs = [];
+  const logger = { ...silentLogger, log: (message) => logs.push(message) };
+  const packageJson = readJson(repoRoot, "package.json");
+
+  await runCli({ argv: ["node", "bin/cli.js", "--help"], logger });
+  await runCli({ argv: ["node", "bin/cli.js", "-v"], logger });
+
+  assert.match(logs[0], /Usage: create-express-kickstart \[project-directory\] \[options\]/);
+  assert.match(logs[0], /--\[no-\]mongoose/);
+  assert.match(logs[0], /--pm, --package-manager <npm\|yarn\|pnpm\|bun>/);
+  assert.equal(logs[1], packageJson.version);
+});
+
+registerTest("loads presets from a kickstart key and lets flags override them", async () => {
+  const tempRoot = createTempRoot();
+  const questioner = {
+    ask(prompt) {
+      throw new Error(`Unexpected prompt: ${prompt}`);
+    },
+    close() {},
+  };
+
+  const previousSkipInstall = process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+  process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = "1";
+
+  try {
+    fs.writeFileSync(
+      path.join(tempRoot, "team.json"),
+      JSON.stringify({
+        name: "shared-config",
+        kickstart: {
+          author: "Platform Team",
+          packageManager: "PNPM",
+          deps: { mongoose: false, helmet: false, prettier: false },
+          installPinoPretty: false,
+          initGit: false,
+          initDocker: true,
+          initAuth: false,
+          initTests: false,
+        },
+      }),
+    );
+
+    assert.deepEqual(loadPreset("team.json", tempRoot).deps, {
+      mongoose: false,
+      helmet: false,
+      prettier: false,
+    });
+    assert.equal(loadPreset("team.json", tempRoot).packageManager, "pnpm");
+
+    await runCli({
+      argv: [
+        "node",
+        "bin/cli.js",
+        "preset-app",
+        "--preset",
+        "team.json",
+        "--helmet",
+        "--no-docker",
+        "--yes",
+      ],
+      cwd: tempRoot,
+      logger: silentLogger,
+      questioner,
+    });
+
+    const projectPath = path.join(tempRoot, "preset-app");
+    const packageJson = readJson(projectPath, "package.json");
+
+    assert.equal(packageJson.author, "Platform Team");
+    assert.equal(packageJson.dependencies.helmet, "latest");
+    assert.equal(packageJson.dependencies.mongoose, undefined);
+    assert.equal(packageJson.devDependencies.prettier, undefined);
+    assert.equal(fs.existsSync(path.join(projectPath, "Dockerfile")), false);
+  } finally {
+    if (previousSkipInstall === undefined) {
+      delete process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+    } else {
+      process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = previousSkipInstall;
+    }
+
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("rejects invalid presets with a list of every problem", () => {
+  assert.throws(
+    () =>
+      validatePreset(
+        {
+          packageManager: "deno",
+          deps: { mongose: true, cors: "yes" },
+          initAuth: "true",
+          projectName: "nope",
+        },
+        "kickstart.json",
+      ),
+    (error) => {
+      assert.match(error.message, /^Invalid preset kickstart\.json:/);
+      assert.match(error.message, /"packageManager" must be one of npm, yarn, pnpm, bun \(received "deno"\)/);
+      assert.match(error.message, /"deps\.mongose" is not a known dependency/);
+      assert.match(error.message, /"deps\.cors" must be true or false/);
+      assert.match(error.message, /"initAuth" must be true or false/);
+      assert.match(error.message, /"projectName" is not a supported preset option/);
+      return true;
+    },
+  );
+
+  assert.throws(() => validatePreset([], "list.json"), /expected a JSON object/);
+});
+
+registerTest("saves the answers of an interactive session as a reusable preset", async () => {
+  const tempRoot = createTempRoot();
+  const answers = ["", "", "Tester", "n", "", "", "n", "", "n", "n", "n", "", "bun", "n", "n", "n", "n"];
+  const questioner = {
+    ask() {
+      const answer = answers.shift();
+      if (answer === undefined) {
+        throw new Error("Questioner ran out of canned answers.");
+      }
+
+      return Promise.resolve(answer);
+    },
+    close() {},
+  };
+
+  const previousSkipInstall = process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+  process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = "1";
+
+  try {
+    await runCli({
+      argv: ["node", "bin/cli.js", "saved-app", "--save-preset", "kickstart.json"],
+      cwd: tempRoot,
+      logger: silentLogger,
+      questioner,
+    });
+
+    const preset = readJson(tempRoot, "kickstart.json");
+
+    assert.equal(answers.length, 0);
+    assert.deepEqual(preset, {
+      author: "Tester",
+      packageManager: "bun",
+      installPinoPretty: true,
+      validation: "none",
+      testRunner: "jest",
+      openapi: false,
+      routeLoader: false,
+      typescript: false,
+      database: "none",
+      initGit: false,
+      initDocker: false,
+      initAuth: false,
+      initTests: false,
+      deps: {
+        cors: true,
+        helmet: true,
+        "cookie-parser": false,
+        "pino-http": true,
+        "express-rate-limit": false,
+        dotenv: false,
+        prettier: false,
+      },
+    });
+    assert.deepEqual(loadPreset("kickstart.json", tempRoot), preset);
+  } finally {
+    if (previousSkipInstall === undefined) {
+      delete process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+    } else {
+      process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = previousSkipInstall;
+    }
+
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds auth to an existing project and wires app.js, server.js, and package.json", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "later-auth-app",
+        packageJsonName: "later-auth-app",
+        deps: { mongoose: false },
+        initDocker: false,
+        initAuth: false,
+        initTests: false,
+      }),
+      {
+        cwd: tempRoot,
+        skipInstall: true,
+        skipGit: true,
+        logger: silentLogger,
+      },
+    );
+
+    const result = await addFeature("auth", {
+      cwd: projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "added-secret",
+    });
+
+    const routerCode = readText(projectPath, "src", "routes", "v1", "index.js");
+    const serverCode = readText(projectPath, "src", "server.js");
+    const packageJson = readJson(projectPath, "package.json");
+
+    assert.deepEqual(result.editedFiles, ["src/routes/v1/index.js", "src/server.js", "src/config/index.js"]);
+    // Projects without auth have no validation layer yet, so the auth schemas bring zod along.
+    assert.deepEqual(result.dependencies, ["jsonwebtoken", "bcryptjs", "nodemailer", "zod", "mongoose"]);
+    assert.equal(result.files.includes("src/middlewares/validate.middleware.js"), true);
+    assert.match(
+      routerCode,
+      /import authRouter from "#routes\/auth\.routes\.js";\nimport adminRouter from "#routes\/admin\.routes\.js";\nimport healthcheckRouter/,
+    );
+    assert.match(
+      routerCode,
+      /router\.use\("\/auth", authRouter\);\nrouter\.use\("\/admin", adminRouter\);\nrouter\.use\("\/healthcheck"/,
+    );
+    assert.match(serverCode, /import connectDB, \{ disconnectDB \} from "#db\/index\.js";/);
+    assert.match(
+      serverCode,
+      /await connectDB\(\);\n    shutdownTasks\.push\(\{ name: "Database connection", close: disconnectDB \}\);\n    startServer\(\);/,
+    );
+    assert.equal(fs.existsSync(path.join(projectPath, "src", "models", "user.model.js")), true);
+    assert.equal(fs.existsSync(path.join(projectPath, "src", "db", "index.js")), true);
+    assert.equal(packageJson.dependencies.jsonwebtoken, "latest");
+    assert.equal(packageJson.dependencies.mongoose, "latest");
+    assert.match(readText(projectPath, ".env.local"), /JWT_SECRET=added-secret/);
+    assert.match(
+      readText(projectPath, "src", "config", "index.js"),
+      /MONGODB_URI: \{ type: "string", required: !isTest \},\n\n    BCRYPT_SALT_ROUNDS/,
+    );
+
+    await assert.rejects(
+      addFeature("auth", { cwd: projectPath, skipInstall: true, logger: silentLogger }),
+      /src\/controllers\/auth\.controller\.js.*already exist\. Re-run with --force/,
+    );
+
+    const prompts = [];
+    await addFeature("auth", {
+      cwd: projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      confirm: (prompt) => {
+        prompts.push(prompt);
+        return Promise.resolve(true);
+      },
+    });
+
+    assert.equal(prompts.length, 1);
+    assert.equal(readText(projectPath, "src", "routes", "v1", "index.js"), routerCode);
+    assert.equal(readText(projectPath, ".env.local").match(/JWT_SECRET=/g).length, 1);
+
+    assertNoTemplateTokens(projectPath);
+    assertSyntaxValid(projectPath);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds docker and tests through the add subcommand", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "later-tools-app",
+        packageJsonName: "later-tools-app",
+        initDocker: false,
+        initAuth: false,
+        initTests: false,
+      }),
+      {
+        cwd: tempRoot,
+        skipInstall: true,
+        skipGit: true,
+        logger: silentLogger,
+      },
+    );
+    fs.writeFileSync(path.join(projectPath, "pnpm-lock.yaml"), "");
+
+    const commands = [];
+    await runCli({
+      argv: ["node", "bin/cli.js", "add", "docker"],
+      cwd: projectPath,
+      logger: silentLogger,
+      questioner: { ask: () => Promise.resolve(""), close() {} },
+    });
+    const testsResult = await addFeature("tests", {
+      cwd: projectPath,
+      logger: silentLogger,
+      runCommand: (command) => commands.push(command),
+    });
+
+    const packageJson = readJson(projectPath, "package.json");
+
+    assert.match(readText(projectPath, "Dockerfile"), /RUN pnpm install --prod/);
+    assert.equal(fs.existsSync(path.join(projectPath, "docker-compose.yml")), true);
+    assert.doesNotMatch(readText(projectPath, "docker-compose.yml"), /mailhog/);
+    assert.equal(fs.existsSync(path.join(projectPath, "tests", "healthcheck.test.js")), true);
+    assert.equal(packageJson.scripts.test, "node --experimental-vm-modules node_modules/jest/bin/jest.js");
+    assert.equal(
+      packageJson.scripts["test:watch"],
+      "node --experimental-vm-modules node_modules/jest/bin/jest.js --watch",
+    );
+    assert.equal(
+      packageJson.scripts["test:coverage"],
+      "node --experimental-vm-modules node_modules/jest/bin/jest.js --coverage",
+    );
+    assert.deepEqual(testsResult.devDependencies, ["jest", "supertest"]);
+    assert.deepEqual(commands, ["pnpm install"]);
+
+    await assert.rejects(
+      runCli({
+        argv: ["node", "bin/cli.js", "add", "docker", "--yes"],
+        cwd: projectPath,
+        logger: silentLogger,
+      }),
+      /Dockerfile, \.dockerignore, docker-compose\.yml already exist/,
+    );
+    await assert.rejects(addFeature("redis", { cwd: projectPath }), /Unknown feature "redis"/);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("generates a CRUD resource and mounts it under /api/v1", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "resource-app",
+        packageJsonName: "resource-app",
+        initDocker: false,
+      }),
+      {
+        cwd: tempRoot,
+        skipInstall: true,
+        skipGit: true,
+        logger: silentLogger,
+        secretGenerator: () => "resource-secret",
+      },
+    );
+
+    await runCli({
+      argv: [
+        "node",
+        "bin/cli.js",
+        "generate",
+        "resource",
+        "category",
+        "--fields",
+        "name:string!,price:number,tags:string[],owner:objectId",
+        "--auth",
+      ],
+      cwd: projectPath,
+      logger: silentLogger,
+    });
+
+    const routerCode = readText(projectPath, "src", "routes", "v1", "index.js");
+    const modelCode = readText(projectPath, "src", "models", "category.model.js");
+    const controllerCode = readText(projectPath, "src", "controllers", "category.controller.js");
+    const routesCode = readText(projectPath, "src", "routes", "category.routes.js");
+    const testCode = readText(projectPath, "tests", "category.test.js");
+
+    assert.match(routerCode, /import categoryRouter from "#routes\/category\.routes\.js";/);
+    assert.match(routerCode, /router\.use\("\/categories", categoryRouter\);\nrouter\.use\("\/healthcheck"/);
+    assert.match(modelCode, /name: \{\n      type: String,\n      required: \[true, "Name is required"\],\n      trim: true,/);
+    assert.match(modelCode, /tags: \{\n      type: \[String\],\n      default: \[\],/);
+    assert.match(modelCode, /type: mongoose\.Schema\.Types\.ObjectId/);
+    assert.match(modelCode, /mongoose\.model\("Category", categorySchema\)/);
+    assert.match(controllerCode, /const EDITABLE_FIELDS = \["name", "price", "tags", "owner"\];/);
+    assert.match(controllerCode, /export const categoryController = \{/);
+    assert.match(controllerCode, /new ApiResponse\(201, \{ category \}, "Category created successfully"\)/);
+    assert.match(routesCode, /router\.use\(authMiddleware\);/);
+    assert.match(testCode, /\/api\/v1\/categories\/not-a-valid-id/);
+    assert.match(testCode, /Bearer \$\{generateToken/);
+    assert.match(
+      testCode,
+      /const sampleCategory = \{ name: 'Sample name', price: 1, tags: \['Sample tags'\], owner: '65f1c2a9e4b0a1b2c3d4e5f6' \};/,
+    );
+    assert.match(testCode, /it\('should create a category'[\s\S]*expect\(response\.status\)\.toBe\(201\);/);
+    assert.match(testCode, /\.send\(\{ name: 'Updated name' \}\);[\s\S]*toEqual\('Updated name'\);/);
+    assert.match(testCode, /it\('should delete a category'[\s\S]*expect\(lookup\.status\)\.toBe\(404\);/);
+
+    await assert.rejects(
+      generateResource("category", { cwd: projectPath, logger: silentLogger }),
+      /Cannot generate category because src\/models\/category\.model\.js/,
+    );
+    // Without the in-memory database setup there is nothing for the CRUD tests to write to.
+    fs.rmSync(path.join(projectPath, "tests", "setup.js"));
+    await generateResource("category", { cwd: projectPath, logger: silentLogger, force: true });
+    assert.equal(readText(projectPath, "src", "routes", "v1", "index.js"), routerCode);
+    assert.doesNotMatch(readText(projectPath, "src", "routes", "category.routes.js"), /authMiddleware/);
+    assert.doesNotMatch(readText(projectPath, "tests", "category.test.js"), /should create a category/);
+
+    assertNoTemplateTokens(projectPath);
+    assertSyntaxValid(projectPath);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("scaffolds a TypeScript project with typed utilities, aliases, and a build Dockerfile", () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const { projectPath, devDependencies } = createProject(
+      makeConfig({
+        projectName: "typed-app",
+        packageJsonName: "typed-app",
+        typescript: true,
+      }),
+      {
+        cwd: tempRoot,
+        skipInstall: true,
+        skipGit: true,
+        logger: silentLogger,
+        secretGenerator: () => "typed-secret",
+      },
+    );
+
+    assert.deepEqual(collectJsFiles(path.join(projectPath, "src")), []);
+    for (const segments of [
+      ["src", "app.ts"],
+      ["src", "server.ts"],
+      ["src", "routes", "healthcheck.routes.ts"],
+      ["src", "controllers", "auth.controller.ts"],
+      ["src", "models", "user.model.ts"],
+      ["src", "types", "express.d.ts"],
+      ["src", "utils", "jwt.util.ts"],
+      ["tests", "healthcheck.test.ts"],
+      ["jest.config.js"],
+    ]) {
+      assert.equal(fs.existsSync(path.join(projectPath, ...segments)), true, segments.join("/"));
+    }
+
+    const packageJson = readJson(projectPath, "package.json");
+    const tsconfig = readJson(projectPath, "tsconfig.json");
+    const tsconfigBuild = readJson(projectPath, "tsconfig.build.json");
+
+    assert.equal(packageJson.main, "dist/server.js");
+    assert.deepEqual(packageJson.imports, { "#*": "./dist/*" });
+    assert.equal(packageJson.scripts.build, "tsc -p tsconfig.build.json");
+    assert.equal(packageJson.scripts.dev, "dotenvx run -f .env.local -- tsx watch src/server.ts");
+    assert.equal(packageJson.scripts.start, "dotenvx run -f .env.local -- node dist/server.js");
+    assert.equal(packageJson.scripts.typecheck, "tsc --noEmit");
+    assert.deepEqual(tsconfig.compilerOptions.paths, { "#*": ["./src/*"] });
+    assert.deepEqual(tsconfig.compilerOptions.types, ["node", "jest"]);
+    assert.deepEqual(tsconfig.include, ["src", "tests", "scripts"]);
+    assert.equal(tsconfigBuild.compilerOptions.outDir, "dist");
+    assert.equal(devDependencies.includes("nodemon"), false);
+    for (const dependencyName of ["typescript", "tsx", "@types/express", "@types/jsonwebtoken", "@swc/jest"]) {
+      assert.equal(devDependencies.includes(dependencyName), true, dependencyName);
+    }
+
+    assert.match(readText(projectPath, "src", "utils", "ApiError.ts"), /class ApiError<TError = unknown> extends Error/);
+    assert.match(readText(projectPath, "src", "utils", "ApiResponse.ts"), /class ApiResponse<TData = unknown>/);
+    assert.match(readText(projectPath, "src", "types", "express.d.ts"), /user\?: AuthTokenPayload;/);
+    assert.match(readText(projectPath, "Dockerfile"), /FROM node:22-alpine AS build[\s\S]*RUN npm run build/);
+    assert.match(readText(projectPath, "Dockerfile"), /CMD \[ "node", "dist\/server\.js" \]/);
+
+    assertNoTemplateTokens(projectPath, ".ts");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds features and generates resources as TypeScript in TypeScript projects", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "typed-add-app",
+        packageJsonName: "typed-add-app",
+        deps: { mongoose: false },
+        initAuth: false,
+        initDocker: false,
+        initTests: false,
+        typescript: true,
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+    const runtime = {
+      cwd: projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "typed-add-secret",
+    };
+
+    const authResult = await addFeature("auth", runtime);
+    const testsResult = await addFeature("tests", runtime);
+
+    assert.deepEqual(authResult.editedFiles, [
+      "src/routes/v1/index.ts",
+      "src/server.ts",
+      "src/config/index.ts",
+      "tsconfig.json",
+    ]);
+    assert.equal(authResult.files.includes("src/types/express.d.ts"), true);
+    assert.equal(authResult.devDependencies.includes("@types/jsonwebtoken"), true);
+    assert.equal(fs.existsSync(path.join(projectPath, "src", "db", "index.ts")), true);
+    assert.deepEqual(testsResult.files, [
+      "tests/healthcheck.test.ts",
+      "tests/health.test.ts",
+      "jest.config.js",
+      "tests/auth.test.ts",
+      "tests/setup.ts",
+      "tests/factories/user.factory.ts",
+    ]);
+    assert.equal(testsResult.devDependencies.includes("mongodb-memory-server"), true);
+    assert.match(
+      readText(projectPath, "jest.config.js"),
+      /testEnvironment: "node",\n  setupFilesAfterEnv: \["<rootDir>\/tests\/setup\.ts"\],\n  extensionsToTreatAsEsm/,
+    );
+    assert.match(readText(projectPath, "tests", "factories", "user.factory.ts"), /Promise<CreatedUser>/);
+    assert.deepEqual(testsResult.editedFiles, ["tsconfig.json"]);
+    assert.deepEqual(readJson(projectPath, "tsconfig.json").compilerOptions.types, ["node", "jest"]);
+    assert.deepEqual(readJson(projectPath, "tsconfig.json").include, ["src", "scripts", "tests"]);
+
+    const { files, mountFile } = await generateResource("product", {
+      ...runtime,
+      fields: "name:string!,price:number,tags:string[]",
+      protect: true,
+    });
+
+    assert.equal(mountFile, "src/routes/v1/index.ts");
+    assert.deepEqual(files, [
+      "src/models/product.model.ts",
+      "src/controllers/product.controller.ts",
+      "src/routes/product.routes.ts",
+      "tests/product.test.ts",
+    ]);
+    assert.match(readText(projectPath, "src", "routes", "v1", "index.ts"), /router\.use\("\/products", productRouter\);/);
+    assert.match(
+      readText(projectPath, "src", "models", "product.model.ts"),
+      /export interface IProduct \{\n  name: string;\n  price\?: number;\n  tags: string\[\];/,
+    );
+    assert.match(
+      readText(projectPath, "src", "controllers", "product.controller.ts"),
+      /type EditableField = "name" \| "price" \| "tags";/,
+    );
+    assert.deepEqual(collectJsFiles(path.join(projectPath, "src")), []);
+    assertNoTemplateTokens(projectPath, ".ts");
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("scaffolds PostgreSQL and SQLite projects with Knex and a SQL user model", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+    const postgres = createProject(
+      makeConfig({ projectName: "pg-app", packageJsonName: "pg-app", database: "postgres" }),
+      runtime,
+    );
+    const sqlite = createProject(
+      makeConfig({
+        projectName: "sqlite-app",
+        packageJsonName: "sqlite-app",
+        database: "sqlite",
+        initAuth: false,
+      }),
+      runtime,
+    );
+
+    assert.equal(postgres.config.deps.mongoose, false);
+    assert.deepEqual(
+      postgres.dependencies.filter((name) => ["mongoose", "knex", "pg"].includes(name)),
+      ["knex", "pg"],
+    );
+    assert.equal(postgres.devDependencies.includes("better-sqlite3"), true);
+    assert.match(readText(postgres.projectPath, "src", "db", "index.js"), /client: "pg",\n\s+connection: config\.DATABASE_URL/);
+    assert.match(readText(postgres.projectPath, "src", "models", "user.model.js"), /import \{ db \} from "#db\/index\.js";/);
+    assert.match(readText(postgres.projectPath, "src", "controllers", "auth.controller.js"), /User\.findByEmail\(email, \{ includePassword: true \}\)/);
+    assert.equal(
+      fs.existsSync(path.join(postgres.projectPath, "src", "db", "migrations", "20250101000000_create_users_table.js")),
+      true,
+    );
+    assert.match(readText(postgres.projectPath, "src", "server.js"), /await connectDB\(\);/);
+    assert.match(readText(postgres.projectPath, ".env.example"), /^DATABASE_URL=postgres:\/\/.+$/m);
+    assert.doesNotMatch(readText(postgres.projectPath, ".env.local"), /MONGODB_URI/);
+    assert.match(readText(postgres.projectPath, "docker-compose.yml"), /image: postgres:16-alpine/);
+    assert.match(readText(postgres.projectPath, "tests", "auth.test.js"), /await migrateDB\(\);/);
+
+    assert.equal(sqlite.dependencies.includes("better-sqlite3"), true);
+    assert.match(readText(sqlite.projectPath, "src", "db", "index.js"), /client: "better-sqlite3"/);
+    assert.match(readText(sqlite.projectPath, ".env.example"), /^SQLITE_FILENAME=data\/app\.sqlite3$/m);
+    assert.equal(fs.existsSync(path.join(sqlite.projectPath, "docker-compose.yml")), false);
+    assert.equal(fs.existsSync(path.join(sqlite.projectPath, "tests", "auth.test.js")), false);
+
+    const authResult = await addFeature("auth", {
+      cwd: sqlite.projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "sqlite-secret",
+    });
+
+    assert.deepEqual(authResult.dependencies, ["jsonwebtoken", "bcryptjs", "nodemailer", "zod"]);
+    assert.deepEqual(authResult.editedFiles, ["src/routes/v1/index.js", "src/config/index.js"]);
+    assert.equal(authResult.files.includes("tests/auth.test.js"), true);
+    assert.match(readText(sqlite.projectPath, "src", "models", "user.model.js"), /db\("users"\)/);
+
+    assert.deepEqual(
+      parseCliArgs(["node", "bin/cli.js", "db-app", "--db", "SQLite"]).config,
+      { database: "sqlite" },
+    );
+    assert.throws(
+      () => parseCliArgs(["node", "bin/cli.js", "--db", "mysql"]),
+      /Unsupported database "mysql"\. Use one of: mongoose, postgres, sqlite, none\./,
+    );
+
+    assertNoTemplateTokens(tempRoot);
+    assertSyntaxValid(tempRoot);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("validates resource names and field definitions", async () => {
+  assert.deepEqual(parseResourceFields("title:string!,scores:number[]"), [
+    { name: "title", type: "string", isArray: false, required: true },
+    { name: "scores", type: "number", isArray: true, required: false },
+  ]);
+  assert.throws(() => parseResourceFields("price:money"), /Invalid field "price:money"/);
+  assert.throws(() => parseResourceFields("name:string,name:number"), /declared more than once/);
+
+  const tempRoot = createTempRoot();
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "no-db-app",
+        packageJsonName: "no-db-app",
+        deps: { mongoose: false },
+        initDocker: false,
+        initAuth: false,
+        initTests: false,
+      }),
+      {
+        cwd: tempRoot,
+        skipInstall: true,
+        skipGit: true,
+        logger: silentLogger,
+      },
+    );
+
+    await assert.rejects(
+      generateResource("Order Item", { cwd: projectPath, logger: silentLogger }),
+      /Invalid resource name "Order Item"/,
+    );
+    await assert.rejects(
+      generateResource("order-item", { cwd: projectPath, logger: silentLogger }),
+      /Resource generation needs Mongoose/,
+    );
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("plans a project with --dry-run without touching the disk", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const result = createProject(
+      makeConfig({
+        projectName: "planned-app",
+        packageJsonName: "planned-app",
+        deps: { mongoose: false },
+        initAuth: false,
+        initGit: true,
+      }),
+      {
+        cwd: tempRoot,
+        dryRun: true,
+        skipInstall: false,
+        skipGit: false,
+        logger: silentLogger,
+        runCommand() {
+          throw new Error("No command should run during a dry run.");
+        },
+      },
+    );
+
+    assert.equal(result.dryRun, true);
+    assert.equal(fs.existsSync(result.projectPath), false);
+
+    const plannedPaths = result.plan.files.map((file) => file.path);
+    assert.ok(plannedPaths.includes("src/app.js"));
+    assert.ok(plannedPaths.includes("tests/healthcheck.test.js"));
+    assert.ok(plannedPaths.includes(".gitignore"));
+    assert.equal(plannedPaths.some((filePath) => filePath.startsWith("src/db/")), false);
+    assert.deepEqual(result.plan.removals, ["src/db"]);
+
+    const packageJsonFile = result.plan.files.find((file) => file.path === "package.json");
+    assert.equal(packageJsonFile.size, Buffer.byteLength(packageJsonFile.contents));
+    assert.equal(JSON.parse(packageJsonFile.contents).dependencies.express, "latest");
+    assert.deepEqual(
+      result.plan.commands.map(({ command }) => command),
+      ["npm install", "git init", "git add .", 'git commit -m "initial commit"'],
+    );
+
+    const logs = [];
+    await runCli({
+      argv: ["node", "bin/cli.js", "cli-plan", "--yes", "--db", "sqlite", "--dry-run", "--show-contents"],
+      cwd: tempRoot,
+      logger: { ...silentLogger, log: (message) => logs.push(message) },
+    });
+
+    const output = logs.join("\n");
+    assert.equal(fs.existsSync(path.join(tempRoot, "cli-plan")), false);
+    assert.match(output, /Dry run: nothing was written/);
+    assert.match(output, /^ {2}src\/$/m);
+    assert.match(output, /^ {4}app\.js \(\d+(\.\d)? k?B\)$/m);
+    assert.match(output, /^Dependencies: express, .*\bknex, better-sqlite3\b/m);
+    assert.match(output, /--- src\/db\/index\.js ---/);
+    assert.doesNotMatch(output, /Success!/);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("rolls back a failed or interrupted generation and reports the failing step", () => {
+  const tempRoot = createTempRoot();
+  const config = makeConfig({ projectName: "atomic-app", packageJsonName: "atomic-app" });
+
+  try {
+    assert.throws(
+      () =>
+        createProject(config, {
+          cwd: tempRoot,
+          skipInstall: true,
+          skipGit: true,
+          logger: silentLogger,
+          secretGenerator() {
+            throw new Error("entropy unavailable");
+          },
+        }),
+      (error) => {
+        assert.equal(error.step, "adding the auth templates");
+        assert.match(error.message, /failed while adding the auth templates: entropy unavailable/);
+        assert.match(error.message, /generated in .*atomic-app so far was rolled back/);
+        return true;
+      },
+    );
+    assert.deepEqual(fs.readdirSync(tempRoot), []);
+
+    assert.throws(
+      () =>
+        createProject(config, {
+          cwd: tempRoot,
+          skipGit: true,
+          logger: silentLogger,
+          secretGenerator: () => "unit-test-secret",
+          runCommand() {
+            throw Object.assign(new Error("Command failed: npm install"), { signal: "SIGINT" });
+          },
+        }),
+      (error) => {
+        assert.equal(error.interrupted, true);
+        assert.match(error.message, /interrupted while installing dependencies with npm/);
+        return true;
+      },
+    );
+    assert.deepEqual(fs.readdirSync(tempRoot), []);
+
+    const result = createProject(config, {
+      cwd: tempRoot,
+      skipInstall: true,
+      skipGit: true,
+      logger: silentLogger,
+      secretGenerator: () => "unit-test-secret",
+    });
+
+    assert.deepEqual(fs.readdirSync(tempRoot), ["atomic-app"]);
+    assert.equal(fs.existsSync(path.join(result.projectPath, "src", "app.js")), true);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("scaffolds into an existing directory with per-file conflict resolution", async () => {
+  const tempRoot = createTempRoot();
+  const repoPath = path.join(tempRoot, "existing-repo");
+  const seedRepo = () => {
+    fs.mkdirSync(path.join(repoPath, ".git"), { recursive: true });
+    fs.mkdirSync(path.join(repoPath, "src"), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, "README.md"), "# Existing repo\n");
+    fs.writeFileSync(path.join(repoPath, "src", "app.js"), "console.log('custom app');\n");
+    fs.writeFileSync(
+      path.join(repoPath, "package.json"),
+      JSON.stringify({ name: "existing-repo", scripts: { lint: "eslint ." }, dependencies: { express: "^4.0.0" } }),
+    );
+  };
+  const previousSkipInstall = process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+  process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = "1";
+
+  try {
+    seedRepo();
+    assert.throws(
+      () =>
+        createProject(makeConfig({ projectName: ".", packageJsonName: "" }), {
+          cwd: repoPath,
+          logger: silentLogger,
+        }),
+      /already contains .*src\/app\.js.*--merge/s,
+    );
+    assert.equal(fs.existsSync(path.join(repoPath, "src", "server.js")), false);
+    assert.equal(readText(repoPath, "src", "app.js"), "console.log('custom app');\n");
+
+    const conflictAnswers = ["d", "o"];
+    const logs = [];
+    await runCli({
+      argv: ["node", "bin/cli.js", ".", "--merge"],
+      cwd: repoPath,
+      logger: { ...silentLogger, log: (message) => logs.push(message) },
+      questioner: {
+        ask: async (prompt) => (prompt.includes("already exists") ? conflictAnswers.shift() : ""),
+        close() {},
+      },
+    });
+
+    const output = logs.join("\n");
+    const packageJson = readJson(repoPath, "package.json");
+
+    assert.deepEqual(conflictAnswers, []);
+    assert.match(output, /^- console\.log\('custom app'\);$/m);
+    assert.match(output, /Git initialization was skipped because .* is already a Git repository/);
+    assert.doesNotMatch(output, /cd \./);
+    assert.match(readText(repoPath, "src", "app.js"), /express\(\)/);
+    assert.equal(readText(repoPath, "README.md"), "# Existing repo\n");
+    assert.equal(fs.existsSync(path.join(repoPath, "src", "server.js")), true);
+    assert.equal(packageJson.name, "existing-repo");
+    assert.equal(packageJson.type, "module");
+    assert.equal(packageJson.scripts.lint, "eslint .");
+    assert.match(packageJson.scripts.dev, /nodemon src\/server\.js$/);
+    assert.equal(packageJson.dependencies.express, "^4.0.0");
+    assert.equal(packageJson.dependencies.mongoose, "latest");
+    assert.equal(fs.readdirSync(path.join(repoPath, ".git")).length, 0);
+
+    fs.rmSync(repoPath, { recursive: true, force: true });
+    seedRepo();
+    const result = createProject(makeConfig({ projectName: "existing-repo", packageJsonName: "" }), {
+      cwd: tempRoot,
+      logger: silentLogger,
+      merge: true,
+    });
+
+    assert.deepEqual(result.skippedFiles, ["src/app.js"]);
+    assert.equal(readText(repoPath, "src", "app.js"), "console.log('custom app');\n");
+    assert.equal(result.config.packageJsonName, "existing-repo");
+  } finally {
+    if (previousSkipInstall === undefined) {
+      delete process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL;
+    } else {
+      process.env.CREATE_EXPRESS_KICKSTART_SKIP_INSTALL = previousSkipInstall;
+    }
+
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds a validate middleware backed by zod or joi and validates the auth routes", () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    assert.equal(parseCliArgs(["node", "bin/cli.js", "app", "--validation", "JOI"]).config.validation, "joi");
+    assert.throws(
+      () => parseCliArgs(["node", "bin/cli.js", "app", "--validation", "yup"]),
+      /validation library/,
+    );
+
+    const joi = createProject(
+      makeConfig({ projectName: "joi-app", packageJsonName: "joi-app", validation: "joi" }),
+      runtime,
+    );
+    const joiMiddleware = readText(joi.projectPath, "src", "middlewares", "validate.middleware.js");
+
+    assert.ok(joi.dependencies.includes("joi"));
+    assert.equal(joi.dependencies.includes("zod"), false);
+    assert.match(joiMiddleware, /schema\.validate\(req\[location\] \?\? \{\}, VALIDATION_OPTIONS\)/);
+    assert.match(joiMiddleware, /new ApiError\(400, "Validation failed", errors\)/);
+    assert.match(readText(joi.projectPath, "src", "validators", "auth.validator.js"), /Joi\.string\(\)\.min\(8\)/);
+    assert.match(
+      readText(joi.projectPath, "src", "routes", "auth.routes.js"),
+      /validate\(\{ body: registerSchema \}\), authController\.register/,
+    );
+    assert.doesNotMatch(readText(joi.projectPath, "src", "controllers", "auth.controller.js"), /\?\.trim\(\)/);
+    assertSyntaxValid(joi.projectPath);
+
+    const forced = createProject(
+      makeConfig({ projectName: "forced-app", packageJsonName: "forced-app", validation: "none" }),
+      runtime,
+    );
+    assert.equal(forced.config.validation, "zod");
+    assert.ok(forced.warnings.some((warning) => warning.includes("zod was enabled automatically")));
+    assert.match(
+      readText(forced.projectPath, "src", "middlewares", "validate.middleware.js"),
+      /schema\.safeParse/,
+    );
+
+    // Without auth the validation layer is opt-in.
+    const plain = createProject(
+      makeConfig({ projectName: "plain-app", packageJsonName: "plain-app", initAuth: false }),
+      runtime,
+    );
+    assert.equal(plain.config.validation, "none");
+    assert.equal(fs.existsSync(path.join(plain.projectPath, "src", "middlewares", "validate.middleware.js")), false);
+    assert.equal(plain.dependencies.includes("zod"), false);
+
+    const optedIn = createProject(
+      makeConfig({ projectName: "opted-in-app", packageJsonName: "opted-in-app", initAuth: false, validation: "zod" }),
+      runtime,
+    );
+    assert.match(readText(optedIn.projectPath, "src", "middlewares", "validate.middleware.js"), /schema\.safeParse/);
+    assert.ok(optedIn.dependencies.includes("zod"));
+
+    const authDefault = createProject(
+      makeConfig({ projectName: "auth-default-app", packageJsonName: "auth-default-app" }),
+      runtime,
+    );
+    assert.equal(authDefault.config.validation, "zod");
+    assert.equal(authDefault.warnings.some((warning) => warning.includes("zod was enabled automatically")), false);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("generates an OpenAPI document, Swagger UI mount, and export script with --openapi", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    assert.equal(parseCliArgs(["node", "bin/cli.js", "app", "--openapi"]).config.openapi, true);
+
+    const { projectPath, dependencies } = createProject(
+      makeConfig({ projectName: "docs-app", packageJsonName: "docs-app", openapi: true }),
+      runtime,
+    );
+    const appCode = readText(projectPath, "src", "app.js");
+    const packageJson = readJson(projectPath, "package.json");
+    const { openApiDocument } = await import(
+      pathToFileURL(path.join(projectPath, "src", "docs", "openapi.js")).href
+    );
+
+    assert.ok(dependencies.includes("swagger-ui-express"));
+    assert.match(appCode, /import \{ openApiDocument \} from "#docs\/openapi\.js";/);
+    assert.match(appCode, /app\.use\("\/api-docs", swaggerUi\.serve, swaggerUi\.setup\(openApiDocument\)\);/);
+    assert.equal(packageJson.scripts["docs:export"], "node scripts/export-openapi.js");
+    assert.equal(fs.existsSync(path.join(projectPath, "scripts", "export-openapi.js")), true);
+    assert.equal(openApiDocument.openapi, "3.0.3");
+    assert.equal(openApiDocument.info.title, "docs-app");
+    assert.deepEqual(Object.keys(openApiDocument.paths), [
+      "/health/live",
+      "/health/ready",
+      "/api/v1/healthcheck",
+      "/api/v1/healthcheck/error",
+      "/api/v1/auth/register",
+      "/api/v1/auth/login",
+      "/api/v1/auth/refresh",
+      "/api/v1/auth/logout",
+      "/api/v1/auth/verify-email",
+      "/api/v1/auth/resend-verification",
+      "/api/v1/auth/forgot-password",
+      "/api/v1/auth/reset-password",
+      "/api/v1/auth/profile",
+      "/api/v1/admin/users",
+    ]);
+    assert.deepEqual(openApiDocument.paths["/api/v1/auth/profile"].get.security, [
+      { bearerAuth: [] },
+      { cookieAuth: [] },
+    ]);
+    assert.equal(openApiDocument.components.securitySchemes.bearerAuth.scheme, "bearer");
+    assert.ok(openApiDocument.components.schemas.ApiResponse);
+    assert.ok(openApiDocument.components.schemas.ApiError);
+    assertNoTemplateTokens(projectPath);
+    assertSyntaxValid(projectPath);
+
+    const plain = createProject(
+      makeConfig({ projectName: "plain-docs-app", packageJsonName: "plain-docs-app", openapi: true, initAuth: false }),
+      runtime,
+    );
+    assert.equal(fs.existsSync(path.join(plain.projectPath, "src", "docs", "auth.docs.js")), false);
+    assert.doesNotMatch(readText(plain.projectPath, "src", "docs", "openapi.js"), /authDocs/);
+
+    const typescript = createProject(
+      makeConfig({ projectName: "ts-docs-app", packageJsonName: "ts-docs-app", openapi: true, typescript: true }),
+      runtime,
+    );
+    assert.equal(readJson(typescript.projectPath, "package.json").scripts["docs:export"], "tsx scripts/export-openapi.ts");
+    assert.ok(typescript.devDependencies.includes("@types/swagger-ui-express"));
+    assert.match(
+      readText(typescript.projectPath, "src", "docs", "components.ts"),
+      /successResponse = \(description: string/,
+    );
+
+    const withoutDocs = createProject(makeConfig({ projectName: "no-docs-app", packageJsonName: "no-docs-app" }), runtime);
+    assert.doesNotMatch(readText(withoutDocs.projectPath, "src", "app.js"), /swagger/);
+    assert.equal(fs.existsSync(path.join(withoutDocs.projectPath, "src", "docs")), false);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("issues rotating refresh tokens in httpOnly cookies and enables cookie-parser for auth", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const result = createProject(
+      makeConfig({
+        projectName: "session-app",
+        packageJsonName: "session-app",
+        deps: { "cookie-parser": false },
+        initDocker: false,
+      }),
+      runtime,
+    );
+    const { projectPath } = result;
+
+    assert.equal(result.config.deps["cookie-parser"], true);
+    assert.ok(result.warnings.some((warning) => warning.includes("cookie-parser was enabled automatically")));
+    assert.equal(readJson(projectPath, "package.json").dependencies["cookie-parser"], "latest");
+    assert.match(readText(projectPath, "src", "app.js"), /app\.use\(cookieParser\(\)\);/);
+    assert.match(readText(projectPath, "src", "models", "refreshToken.model.js"), /index: \{ expires: 0 \}/);
+    assert.match(readText(projectPath, "src", "utils", "refreshToken.util.js"), /revokeFamily\(storedToken\.family\)/);
+    assert.match(readText(projectPath, "src", "utils", "authCookies.util.js"), /httpOnly: true/);
+    assert.match(readText(projectPath, "src", "routes", "auth.routes.js"), /router\.post\('\/refresh', authController\.refresh\);/);
+    assert.match(readText(projectPath, "src", "routes", "auth.routes.js"), /router\.post\('\/logout', authController\.logout\);/);
+    assert.match(readText(projectPath, "src", "middlewares", "auth.middleware.js"), /req\.cookies\?\.\[ACCESS_TOKEN_COOKIE\]/);
+    assert.match(readText(projectPath, ".env.example"), /JWT_EXPIRES_IN=15m\nREFRESH_TOKEN_TTL_DAYS=7/);
+    assertSyntaxValid(projectPath);
+
+    const sql = createProject(
+      makeConfig({ projectName: "sql-session-app", packageJsonName: "sql-session-app", database: "sqlite" }),
+      runtime,
+    );
+    assert.match(
+      readText(sql.projectPath, "src", "db", "migrations", "20250101000001_create_refresh_tokens_table.js"),
+      /references\("id"\)\.inTable\("users"\)\.onDelete\("CASCADE"\)/,
+    );
+    assert.match(readText(sql.projectPath, "src", "models", "refreshToken.model.js"), /db\("refresh_tokens"\)/);
+    assert.match(readText(sql.projectPath, "tests", "auth.test.js"), /\/api\/v1\/auth\/refresh/);
+
+    const later = createProject(
+      makeConfig({
+        projectName: "later-session-app",
+        packageJsonName: "later-session-app",
+        deps: { "cookie-parser": false },
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    const added = await addFeature("auth", {
+      cwd: later.projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "later-secret",
+    });
+
+    assert.ok(added.dependencies.includes("cookie-parser"));
+    assert.match(
+      readText(later.projectPath, "src", "app.js"),
+      /app\.use\(cookieParser\(\)\);\n\/\/ One router per API version/,
+    );
+    assertSyntaxValid(later.projectPath);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds roles, an authorize middleware, an admin route, and an admin seed script", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "rbac-app", packageJsonName: "rbac-app", initDocker: false }),
+      runtime,
+    );
+    const { authorize } = await import(
+      pathToFileURL(path.join(projectPath, "src", "middlewares", "authorize.middleware.js")).href
+    );
+    const runAuthorize = (user) => {
+      let forwarded;
+      authorize("admin")({ user }, {}, (error) => {
+        forwarded = error;
+      });
+      return forwarded;
+    };
+
+    assert.equal(runAuthorize({ id: "1", role: "admin" }), undefined);
+    assert.equal(runAuthorize({ id: "1", role: "user" }).statusCode, 403);
+    assert.equal(runAuthorize(undefined).statusCode, 401);
+
+    assert.match(readText(projectPath, "src", "models", "user.model.js"), /enum: Object\.values\(ROLES\)/);
+    assert.match(readText(projectPath, "src", "controllers", "auth.controller.js"), /role: user\.role,/);
+    assert.match(readText(projectPath, "src", "routes", "admin.routes.js"), /router\.use\(authMiddleware, authorize\(ROLES\.ADMIN\)\);/);
+    assert.match(readText(projectPath, "src", "routes", "v1", "index.js"), /router\.use\("\/admin", adminRouter\);/);
+    assert.equal(
+      readJson(projectPath, "package.json").scripts["seed:admin"],
+      "dotenvx run -f .env.local -- node scripts/seed-admin.js",
+    );
+    assert.match(readText(projectPath, ".env.example"), /ADMIN_EMAIL=admin@example\.com\nADMIN_PASSWORD=\n/);
+    assert.match(readText(projectPath, "src", "db", "index.js"), /export const disconnectDB/);
+    assertSyntaxValid(projectPath);
+
+    const sql = createProject(
+      makeConfig({
+        projectName: "rbac-ts-app",
+        packageJsonName: "rbac-ts-app",
+        database: "postgres",
+        typescript: true,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    assert.match(
+      readText(sql.projectPath, "src", "db", "migrations", "20250101000000_create_users_table.ts"),
+      /table\.string\("role"\)\.notNullable\(\)\.defaultTo\("user"\);/,
+    );
+    assert.match(readText(sql.projectPath, "src", "utils", "jwt.util.ts"), /role: string;/);
+    assert.equal(fs.existsSync(path.join(sql.projectPath, "scripts", "seed-admin.ts")), true);
+    assert.match(readJson(sql.projectPath, "package.json").scripts["seed:admin"], /tsx scripts\/seed-admin\.ts$/);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds email verification, password reset, a pluggable mailer, and MailHog", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "mail-app", packageJsonName: "mail-app" }),
+      runtime,
+    );
+    const routesCode = readText(projectPath, "src", "routes", "auth.routes.js");
+    const dockerCompose = readText(projectPath, "docker-compose.yml");
+
+    for (const route of ["verify-email", "resend-verification", "forgot-password", "reset-password"]) {
+      assert.match(routesCode, new RegExp(`router\\.post\\('/${route}'`));
+    }
+    assert.match(readText(projectPath, "src", "models", "user.model.js"), /passwordResetTokenHash: \{/);
+    assert.match(readText(projectPath, "src", "utils", "mailer.util.js"), /export const setMailTransport/);
+    assert.match(readText(projectPath, ".env.example"), /MAIL_TRANSPORT=console\nMAIL_FROM=/);
+    assert.match(dockerCompose, /CORS_ORIGIN: .+\n {6}MAIL_TRANSPORT: smtp\n {6}SMTP_HOST: mailhog\n/);
+    assert.match(dockerCompose, /\n {2}mailhog:\n {4}image: mailhog\/mailhog\n/);
+    assertSyntaxValid(projectPath);
+
+    const { passwordResetEmail } = await withEnv({ NODE_ENV: "test" }, () =>
+      importProjectFile(projectPath, "src", "emails", "auth.emails.js"),
+    );
+    const email = passwordResetEmail({ name: "<Ada>", token: "reset-token", ttlMinutes: 30 });
+    assert.match(email.text, /http:\/\/localhost:3000\/reset-password\?token=reset-token/);
+    assert.match(email.html, /Hi &lt;Ada&gt;,/);
+
+    const sql = createProject(
+      makeConfig({
+        projectName: "sql-mail-app",
+        packageJsonName: "sql-mail-app",
+        database: "postgres",
+        typescript: true,
+      }),
+      runtime,
+    );
+    assert.match(
+      readText(sql.projectPath, "src", "db", "migrations", "20250101000000_create_users_table.ts"),
+      /table\.string\("password_reset_token_hash"\)\.nullable\(\)\.index\(\);/,
+    );
+    assert.ok(sql.devDependencies.includes("@types/nodemailer"));
+    assert.match(readText(sql.projectPath, "docker-compose.yml"), /mailhog:/);
+
+    const later = createProject(
+      makeConfig({ projectName: "later-mail-app", packageJsonName: "later-mail-app", initAuth: false }),
+      runtime,
+    );
+    const added = await addFeature("auth", {
+      cwd: later.projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "later-secret",
+    });
+
+    assert.ok(added.editedFiles.includes("docker-compose.yml"));
+    assert.ok(added.dependencies.includes("nodemailer"));
+    assert.equal(readText(later.projectPath, "docker-compose.yml"), dockerCompose);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("locks accounts and throttles IP addresses after repeated failed logins", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "lockout-app", packageJsonName: "lockout-app", initDocker: false }),
+      runtime,
+    );
+    const [{ getLockedUntil, isLocked }, { loginThrottle }] = await withEnv(
+      { NODE_ENV: "test", LOGIN_IP_MAX_ATTEMPTS: "2" },
+      () =>
+        Promise.all([
+          importProjectFile(projectPath, "src", "utils", "loginProtection.util.js"),
+          importProjectFile(projectPath, "src", "middlewares", "loginThrottle.middleware.js"),
+        ]),
+    );
+    const minutesUntil = (date) => Math.round((date.getTime() - Date.now()) / 60000);
+
+    assert.equal(getLockedUntil(4), null);
+    assert.equal(minutesUntil(getLockedUntil(5)), 15);
+    assert.equal(minutesUntil(getLockedUntil(6)), 30);
+    assert.equal(minutesUntil(getLockedUntil(7)), 60);
+    assert.equal(minutesUntil(getLockedUntil(500)), 24 * 60);
+    assert.equal(isLocked({ lockedUntil: new Date(Date.now() + 1000) }), true);
+    assert.equal(isLocked({ lockedUntil: new Date(Date.now() - 1000) }), false);
+
+    const attemptLogin = (ip, statusCode) => {
+      const headers = {};
+      const listeners = [];
+      const res = {
+        statusCode,
+        set: (name, value) => {
+          headers[name] = value;
+        },
+        on: (event, listener) => listeners.push(listener),
+      };
+      let forwarded;
+      loginThrottle({ ip }, res, (error) => {
+        forwarded = error;
+      });
+      listeners.forEach((listener) => listener());
+      return { error: forwarded, headers };
+    };
+
+    attemptLogin("10.0.0.1", 401);
+    attemptLogin("10.0.0.1", 200);
+    attemptLogin("10.0.0.1", 401);
+    const throttled = attemptLogin("10.0.0.1", 401);
+
+    assert.equal(throttled.error.statusCode, 429);
+    assert.ok(Number(throttled.headers["Retry-After"]) > 0);
+    assert.equal(attemptLogin("10.0.0.2", 401).error, undefined);
+
+    // The counters stay at 10000 addresses; once none has expired the oldest one is dropped.
+    for (let index = 0; index < 9999; index += 1) {
+      attemptLogin(`10.1.${Math.floor(index / 256)}.${index % 256}`, 401);
+    }
+    assert.equal(attemptLogin("10.0.0.1", 401).error, undefined);
+
+    const controllerCode = readText(projectPath, "src", "controllers", "auth.controller.js");
+    assert.match(controllerCode, /return new ApiError\(423, /);
+    assert.match(
+      controllerCode,
+      /if \(!user\?\.password\) \{\n      await compareData\(password, await getDummyPasswordHash\(\)\);\n      throw new ApiError\(401, /,
+    );
+    assert.match(controllerCode, /if \(failedAttempts === null \|\| \(lockedUntil && !\(await User\.lock\(user\.id, lockedUntil\)\)\)\) \{/);
+    assert.match(controllerCode, /await User\.clearFailedLogins\(user\.id\);/);
+    assert.match(
+      readText(projectPath, "src", "routes", "auth.routes.js"),
+      /router\.post\('\/login', loginThrottle, validate\(/,
+    );
+    assert.match(readText(projectPath, ".env.example"), /LOGIN_MAX_ATTEMPTS=5\nLOGIN_LOCKOUT_MINUTES=15\n/);
+    assertSyntaxValid(projectPath);
+
+    const sql = createProject(
+      makeConfig({
+        projectName: "sql-lockout-app",
+        packageJsonName: "sql-lockout-app",
+        database: "postgres",
+        typescript: true,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    assert.match(
+      readText(sql.projectPath, "src", "db", "migrations", "20250101000000_create_users_table.ts"),
+      /table\.integer\("failed_login_attempts"\)\.notNullable\(\)\.defaultTo\(0\);/,
+    );
+    assert.match(readText(sql.projectPath, "src", "models", "user.model.ts"), /async recordFailedLogin\(id: string\)/);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("shuts the server down gracefully and closes the database connection", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "shutdown-app", packageJsonName: "shutdown-app", initDocker: false }),
+      runtime,
+    );
+    const serverCode = readText(projectPath, "src", "server.js");
+
+    assert.match(serverCode, /server = app\.listen\(config\.PORT, /);
+    assert.match(serverCode, /process\.on\("SIGTERM", \(\) => shutdown\("SIGTERM"\)\);/);
+    assert.match(serverCode, /process\.on\("uncaughtException", /);
+    assert.match(serverCode, /shutdownTasks\.push\(\{ name: "Database connection", close: disconnectDB \}\);/);
+    assert.match(readText(projectPath, ".env.example"), /^SHUTDOWN_TIMEOUT_MS=8000$/m);
+    assertSyntaxValid(projectPath);
+
+    const withoutDatabase = createProject(
+      makeConfig({
+        projectName: "shutdown-ts-app",
+        packageJsonName: "shutdown-ts-app",
+        database: "none",
+        typescript: true,
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    const typedServerCode = readText(withoutDatabase.projectPath, "src", "server.ts");
+    assert.match(typedServerCode, /let server: Server \| undefined;/);
+    assert.doesNotMatch(typedServerCode, /shutdownTasks\.push/);
+
+    // Projects generated before graceful shutdown still get a working database startup.
+    const legacy = createProject(
+      makeConfig({
+        projectName: "legacy-server-app",
+        packageJsonName: "legacy-server-app",
+        database: "none",
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    fs.writeFileSync(
+      path.join(legacy.projectPath, "src", "server.js"),
+      'import { app } from "#app.js";\n\nconst startServer = () => {\n    app.listen(8000);\n};\n\nstartServer();\n',
+    );
+    await addFeature("auth", {
+      cwd: legacy.projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "legacy-secret",
+    });
+
+    const legacyServerCode = readText(legacy.projectPath, "src", "server.js");
+    assert.match(legacyServerCode, /await connectDB\(\);\n    startServer\(\);/);
+    assert.doesNotMatch(legacyServerCode, /shutdownTasks/);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds liveness and readiness probes backed by registered dependency checks", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "probe-app", packageJsonName: "probe-app", initAuth: false }),
+      runtime,
+    );
+    const { registerHealthCheck, runHealthChecks } = await import(
+      pathToFileURL(path.join(projectPath, "src", "utils", "healthChecks.js")).href
+    );
+
+    registerHealthCheck("up", async () => {});
+    registerHealthCheck("down", async () => {
+      throw new Error("Connection refused");
+    });
+    registerHealthCheck("slow", () => new Promise((resolve) => setTimeout(resolve, 500)), { timeoutMs: 20 });
+
+    const checks = await runHealthChecks();
+    assert.equal(checks.up.status, "UP");
+    assert.deepEqual([checks.down.status, checks.down.error], ["DOWN", "Connection refused"]);
+    assert.deepEqual([checks.slow.status, checks.slow.error], ["DOWN", "Timed out after 20ms"]);
+
+    assert.match(readText(projectPath, "src", "app.js"), /app\.use\("\/health", healthRouter\);/);
+    assert.match(readText(projectPath, "src", "db", "index.js"), /registerHealthCheck\("mongodb", /);
+    assert.match(
+      readText(projectPath, "Dockerfile"),
+      /HEALTHCHECK .+\\\n {2}CMD \[ "node", "-e", "fetch\('http:\/\/localhost:' \+ \(process\.env\.PORT \|\| 8000\) \+ '\/health\/ready'\)/,
+    );
+    assertSyntaxValid(projectPath);
+
+    const sql = createProject(
+      makeConfig({
+        projectName: "sql-probe-app",
+        packageJsonName: "sql-probe-app",
+        database: "sqlite",
+        typescript: true,
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    assert.match(readText(sql.projectPath, "src", "db", "index.ts"), /registerHealthCheck\("sqlite", /);
+    assert.match(readText(sql.projectPath, "src", "utils", "healthChecks.ts"), /type HealthCheck = /);
+    assert.match(readText(sql.projectPath, "src", "controllers", "health.controller.ts"), /as \{\n {4}version: string;/);
+
+    // A Dockerfile added to a project without the probes would never report healthy.
+    const legacy = createProject(
+      makeConfig({
+        projectName: "legacy-probe-app",
+        packageJsonName: "legacy-probe-app",
+        database: "none",
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    fs.rmSync(path.join(legacy.projectPath, "src", "routes", "health.routes.js"));
+    fs.rmSync(path.join(legacy.projectPath, "src", "utils", "healthChecks.js"));
+    await addFeature("docker", { cwd: legacy.projectPath, skipInstall: true, logger: silentLogger });
+    const added = await addFeature("auth", {
+      cwd: legacy.projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "legacy-secret",
+    });
+
+    assert.match(
+      readText(projectPath, "tests", "health.test.js"),
+      /afterAll\(async \(\) => \{\n {2}await disconnectDB\(\);\n\}\);/,
+    );
+    assert.doesNotMatch(readText(legacy.projectPath, "Dockerfile"), /HEALTHCHECK/);
+    assert.ok(added.files.includes("src/utils/healthChecks.js"));
+    assert.equal(fs.existsSync(path.join(legacy.projectPath, "src", "utils", "healthChecks.js")), true);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("validates environment variables once through a frozen, feature-aware config module", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "config-app", packageJsonName: "config-app", initDocker: false }),
+      runtime,
+    );
+    const configUrl = pathToFileURL(path.join(projectPath, "src", "config", "index.js")).href;
+    const configCode = readText(projectPath, "src", "config", "index.js");
+
+    for (const name of ["PORT", "CORS_ORIGIN", "RATE_LIMIT_MAX", "PINO_PRETTY", "MONGODB_URI", "JWT_SECRET"]) {
+      assert.match(configCode, new RegExp(`^    ${name}: \\{`, "m"));
+    }
+    assert.doesNotMatch(readText(projectPath, "src", "app.js"), /process\.env/);
+    assertSyntaxValid(projectPath);
+
+    await assert.rejects(
+      withEnv(
+        {
+          NODE_ENV: "production",
+          PORT: "eighty",
+          CORS_ORIGIN: "",
+          MONGODB_URI: "mongodb://localhost:27017/app",
+          JWT_SECRET: "replace-me-with-a-long-random-secret",
+          APP_URL: "https://app.example.com",
+        },
+        () => import(`${configUrl}?production`),
+      ),
+      new RegExp(
+        [
+          "Invalid environment configuration:",
+          "  - PORT must be a port number between 0 and 65535",
+          "  - CORS_ORIGIN must be set in production",
+          "  - JWT_SECRET still has the placeholder value from \\.env\\.example$",
+        ].join("\n"),
+      ),
+    );
+
+    const { config, loadConfig } = await withEnv(
+      { NODE_ENV: "test", CORS_ORIGIN: "https://a.example, https://b.example", PINO_PRETTY: "1" },
+      () => import(`${configUrl}?test`),
+    );
+    assert.equal(config.PORT, 8000);
+    assert.equal(config.JWT_SECRET, "test-secret");
+    assert.equal(config.PINO_PRETTY, true);
+    assert.deepEqual(config.CORS_ORIGIN, ["https://a.example", "https://b.example"]);
+    assert.ok(Object.isFrozen(config) && Object.isFrozen(config.CORS_ORIGIN));
+    assert.throws(
+      () => loadConfig({ TOKEN: { type: "string", required: true } }, {}),
+      /  - TOKEN is required/,
+    );
+
+    const minimal = createProject(
+      makeConfig({
+        projectName: "minimal-config-app",
+        packageJsonName: "minimal-config-app",
+        database: "sqlite",
+        deps: { cors: false, "express-rate-limit": false, "pino-http": false },
+        typescript: true,
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    const typedConfigCode = readText(minimal.projectPath, "src", "config", "index.ts");
+    assert.match(typedConfigCode, /SQLITE_FILENAME: \{ type: "string", default: isTest \? ":memory:" : "data\/app\.sqlite3" \},\n\} as const satisfies Record<string, Variable>;/);
+    assert.doesNotMatch(typedConfigCode, /^ {4}(CORS_ORIGIN|JWT_SECRET):/m);
+    assert.doesNotMatch(readText(minimal.projectPath, "src", "app.ts"), /#config/);
+
+    await addFeature("auth", {
+      cwd: minimal.projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "minimal-secret",
+    });
+    assert.match(readText(minimal.projectPath, "src", "config", "index.ts"), /SQLITE_FILENAME: .+\n\n    BCRYPT_SALT_ROUNDS: /);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("translates library errors in the error handler and supports RFC 7807 problem details", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "errors-app",
+        packageJsonName: "errors-app",
+        database: "none",
+        deps: { cors: false },
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    assertSyntaxValid(projectPath);
+
+    const loggerCalls = stubProjectLogger(projectPath);
+    const { errorHandler } = await withEnv({ NODE_ENV: "production" }, () =>
+      importProjectFile(projectPath, "src", "middlewares", "errorHandler.middleware.js"),
+    );
+    const handle = (err, accept = "application/json", handler = errorHandler) => {
+      const res = {
+        status(statusCode) {
+          this.statusCode = statusCode;
+          return this;
+        },
+        type(contentType) {
+          this.contentType = contentType;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        },
+      };
+      const req = { originalUrl: "/api/v1/things/1", get: (name) => (name === "Accept" ? accept : undefined) };
+      handler(err, req, res, () => {});
+      return res;
+    };
+    const namedError = (name, properties = {}) => Object.assign(new Error(name), { name, ...properties });
+
+    assert.equal(handle(namedError("CastError", { path: "_id", kind: "ObjectId", value: "nope" })).statusCode, 404);
+    assert.deepEqual(handle(namedError("CastError", { path: "price", kind: "Number", value: "abc" })).body.errors, [
+      { field: "price", message: 'Invalid Number value: "abc"' },
+    ]);
+    assert.deepEqual(
+      handle(namedError("ValidationError", { errors: { name: { path: "name", message: "Path `name` is required." } } }))
+        .body.errors,
+      [{ location: "body", field: "name", message: "Path `name` is required." }],
+    );
+
+    const duplicate = handle(Object.assign(new Error("E11000 duplicate key error"), { code: 11000, keyValue: { email: "a@b.c" } }));
+    assert.equal(duplicate.statusCode, 409);
+    assert.deepEqual(duplicate.body.errors, [{ location: "body", field: "email", message: "email is already in use" }]);
+    assert.deepEqual(
+      handle(Object.assign(new Error("UNIQUE constraint failed: users.email"), { code: "SQLITE_CONSTRAINT_UNIQUE" })).body
+        .errors[0].field,
+      "email",
+    );
+    assert.equal(handle(namedError("TokenExpiredError")).statusCode, 401);
+    assert.equal(
+      handle(Object.assign(new SyntaxError("Unexpected token"), { status: 400, type: "entity.parse.failed" })).body.message,
+      "Malformed JSON in request body",
+    );
+    assert.equal(handle(Object.assign(new Error("too large"), { status: 413, type: "entity.too.large", limit: 102400 })).statusCode, 413);
+
+    const internal = handle(new Error("connect ECONNREFUSED 10.0.0.5:5432"));
+    assert.equal(internal.statusCode, 500);
+    assert.equal(internal.body.message, "Internal Server Error");
+    assert.equal(internal.body.stack, undefined);
+    assert.equal(loggerCalls.length, 1);
+    assert.equal(loggerCalls[0][1], "Unexpected error");
+    assert.match(loggerCalls[0][0].err.message, /ECONNREFUSED/);
+
+    const problem = handle(namedError("CastError", { path: "price", kind: "Number", value: "abc" }), "application/problem+json");
+    assert.equal(problem.contentType, "application/problem+json");
+    assert.deepEqual(
+      { ...problem.body, errors: undefined },
+      { type: "about:blank", title: "Bad Request", status: 400, detail: "Validation failed", instance: "/api/v1/things/1", errors: undefined, requestId: undefined },
+    );
+    assert.match(readText(projectPath, "src", "config", "index.js"), /ERROR_FORMAT: \{ type: "enum", values: \["json", "problem"\]/);
+
+    // Without pino the handler logs to the console, and leaves the request id out when the error
+    // did not happen inside a request.
+    const withoutLogger = createProject(
+      makeConfig({
+        projectName: "errors-console-app",
+        packageJsonName: "errors-console-app",
+        database: "none",
+        deps: { cors: false, "pino-http": false },
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    const { errorHandler: consoleErrorHandler } = await withEnv({ NODE_ENV: "production" }, () =>
+      importProjectFile(withoutLogger.projectPath, "src", "middlewares", "errorHandler.middleware.js"),
+    );
+    const consoleCalls = [];
+    const consoleError = console.error;
+    console.error = (...args) => consoleCalls.push(args);
+    try {
+      handle(new Error("connect ECONNREFUSED 10.0.0.5:5432"), "application/json", consoleErrorHandler);
+    } finally {
+      console.error = consoleError;
+    }
+    assert.equal(consoleCalls.length, 1);
+    assert.equal(consoleCalls[0][0], "Unexpected error:");
+    assert.match(consoleCalls[0][1].message, /ECONNREFUSED/);
+    assert.match(readText(projectPath, ".env.example"), /^ERROR_FORMAT=json$/m);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("propagates a request id to the response header, the logger and error bodies", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "request-id-app", packageJsonName: "request-id-app", initDocker: false }),
+      runtime,
+    );
+    const appCode = readText(projectPath, "src", "app.js");
+
+    assert.match(appCode, /const app = express\(\);\n\n\/\/ .+\napp\.use\(requestId\);\n\napp\.use\(helmet\(\)\);/);
+    assert.match(appCode, /pinoHttp\(\{\n {8}logger,\n/);
+    assert.match(appCode, /exposedHeaders: \["X-Request-Id"\],/);
+    assert.match(readText(projectPath, "src", "utils", "logger.js"), /const reqId = getRequestId\(\);/);
+    const errorHandlerCode = readText(projectPath, "src", "middlewares", "errorHandler.middleware.js");
+    assert.match(errorHandlerCode, /from '#utils\/errorTranslators\.js';\nimport \{ logger \} from '#utils\/logger\.js';\n\n/);
+    assert.match(errorHandlerCode, /logger\.error\(\{ err \}, 'Unexpected error'\);/);
+    assert.doesNotMatch(errorHandlerCode, /console\.error/);
+    assertSyntaxValid(projectPath);
+    stubProjectLogger(projectPath);
+
+    const [{ requestId }, { getRequestId }, { errorHandler }] = await withEnv({ NODE_ENV: "test" }, () =>
+      Promise.all([
+        importProjectFile(projectPath, "src", "middlewares", "requestId.middleware.js"),
+        importProjectFile(projectPath, "src", "utils", "requestContext.js"),
+        importProjectFile(projectPath, "src", "middlewares", "errorHandler.middleware.js"),
+      ]),
+    );
+    const handle = (incomingId) => {
+      const headers = {};
+      const res = {
+        set: (name, value) => {
+          headers[name] = value;
+        },
+        status() {
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        },
+      };
+      const req = { originalUrl: "/missing", get: (name) => (name === "X-Request-Id" ? incomingId : undefined) };
+      let idInHandler;
+
+      requestId(req, res, () => {
+        idInHandler = getRequestId();
+        errorHandler(new Error("Route not found"), req, res, () => {});
+      });
+      return { headers, idInHandler, body: res.body };
+    };
+
+    const forwarded = handle("edge-1234");
+    assert.equal(forwarded.headers["X-Request-Id"], "edge-1234");
+    assert.equal(forwarded.idInHandler, "edge-1234");
+    assert.equal(forwarded.body.requestId, "edge-1234");
+
+    const generated = handle("bad id\nwith a newline");
+    assert.match(generated.headers["X-Request-Id"], /^[0-9a-f-]{36}$/);
+    assert.equal(generated.body.requestId, generated.headers["X-Request-Id"]);
+    assert.equal(getRequestId(), undefined);
+
+    const withoutLogger = createProject(
+      makeConfig({
+        projectName: "request-id-ts-app",
+        packageJsonName: "request-id-ts-app",
+        deps: { "pino-http": false },
+        typescript: true,
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    assert.equal(fs.existsSync(path.join(withoutLogger.projectPath, "src", "utils", "logger.ts")), false);
+    assert.match(readText(withoutLogger.projectPath, "src", "app.ts"), /app\.use\(requestId\);/);
+    assert.match(readText(withoutLogger.projectPath, "src", "utils", "requestContext.ts"), /new AsyncLocalStorage<RequestContext>\(\)/);
+    assert.match(
+      readText(withoutLogger.projectPath, "src", "middlewares", "errorHandler.middleware.ts"),
+      /console\.error\(requestId \? `Unexpected error in request \$\{requestId\}:` : 'Unexpected error:', err\);/,
+    );
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("parses paginated list queries against a whitelist and pages Mongoose resources", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "paging-app", packageJsonName: "paging-app", initAuth: false, initDocker: false }),
+      runtime,
+    );
+    const [{ paginate, buildPageLinks, decodeCursor, encodeCursor }, { PaginatedApiResponse }] = await Promise.all([
+      importProjectFile(projectPath, "src", "middlewares", "paginate.middleware.js"),
+      importProjectFile(projectPath, "src", "utils", "ApiResponse.js"),
+    ]);
+    const run = (middleware, query) => {
+      const req = { query };
+      let forwarded;
+      middleware(req, {}, (error) => {
+        forwarded = error;
+      });
+      return { listQuery: req.listQuery, error: forwarded };
+    };
+    const products = paginate({ sortable: ["price"], filterable: ["price", "status"], maxLimit: 50 });
+
+    assert.deepEqual(
+      run(products, { page: "3", limit: "10", sort: "-price", "price[gte]": "5", status: ["a", "b"] }).listQuery,
+      {
+        mode: "page",
+        page: 3,
+        limit: 10,
+        skip: 20,
+        cursor: null,
+        sort: [{ field: "price", direction: -1 }],
+        fields: null,
+        filters: [
+          { field: "price", operator: "gte", value: "5" },
+          { field: "status", operator: "in", value: ["a", "b"] },
+        ],
+      },
+    );
+    assert.deepEqual(run(products, {}).listQuery.sort, [{ field: "createdAt", direction: -1 }]);
+
+    const rejected = run(products, { limit: "51", sort: "password", fields: "password", role: "admin", "price[where]": "1" });
+    assert.equal(rejected.error.statusCode, 400);
+    assert.deepEqual(
+      rejected.error.errors.map(({ field }) => field),
+      ["limit", "sort", "fields", "role", "price[where]"],
+    );
+
+    const id = "65f1c2a9e4b0a1b2c3d4e5f6";
+    const cursor = encodeCursor({ value: 10, id });
+    assert.deepEqual(decodeCursor(cursor), { value: 10, id });
+    assert.deepEqual(decodeCursor(encodeCursor({ value: "2026-01-01T00:00:00.000Z", id })), { value: "2026-01-01T00:00:00.000Z", id });
+    assert.deepEqual(decodeCursor(encodeCursor({ id })), { value: null, id });
+    // Forged cursors must not smuggle query operators or non-ObjectId ids into the filter.
+    assert.equal(decodeCursor(encodeCursor({ value: { $ne: null }, id })), null);
+    assert.equal(decodeCursor(encodeCursor({ value: [1], id })), null);
+    assert.equal(decodeCursor(encodeCursor({ value: 10, id: { $gt: "" } })), null);
+    assert.equal(decodeCursor(encodeCursor({ value: 10, id: "abc" })), null);
+    assert.equal(run(paginate({ cursor: true }), { cursor: "not-a-cursor" }).error.statusCode, 400);
+    assert.deepEqual(
+      run(paginate({ cursor: true }), { cursor: encodeCursor({ value: { $ne: null }, id }) }).error.errors,
+      [{ location: "query", field: "cursor", message: "Is not a valid cursor" }],
+    );
+
+    const req = { originalUrl: "/api/v1/products?status=a&page=2" };
+    const meta = { page: 2, limit: 10, total: 25, totalPages: 3 };
+    const response = new PaginatedApiResponse(200, { products: [] }, { meta, links: buildPageLinks(req, meta) });
+    assert.deepEqual(response.links, {
+      next: "/api/v1/products?status=a&page=3",
+      prev: "/api/v1/products?status=a&page=1",
+    });
+    assert.deepEqual(buildPageLinks(req, { limit: 10, hasMore: false, nextCursor: null }), { next: null, prev: null });
+    assert.equal(response.success, true);
+
+    assert.match(readText(projectPath, "src", "utils", "mongoosePaginate.util.js"), /const paginateModel = async/);
+    const { files } = await generateResource("product", {
+      cwd: projectPath,
+      fields: "name:string!,price:number,tags:string[]",
+      logger: silentLogger,
+    });
+    const routesCode = readText(projectPath, "src", "routes", "product.routes.js");
+    assert.deepEqual(files, [
+      "src/models/product.model.js",
+      "src/controllers/product.controller.js",
+      "src/routes/product.routes.js",
+      "tests/product.test.js",
+    ]);
+    assert.match(routesCode, /sortable: \['createdAt', 'updatedAt', 'name', 'price'\],\n\s+filterable: \['name', 'price', 'tags'\],/);
+    assert.doesNotMatch(routesCode, /"/);
+    assert.match(
+      readText(projectPath, "src", "controllers", "product.controller.js"),
+      /await paginateModel\(Product, req\);/,
+    );
+    assertSyntaxValid(projectPath);
+
+    // Resources generated into older projects bring the helpers along.
+    fs.rmSync(path.join(projectPath, "src", "middlewares", "paginate.middleware.js"));
+    fs.rmSync(path.join(projectPath, "src", "utils", "mongoosePaginate.util.js"));
+    const legacy = await generateResource("order", { cwd: projectPath, logger: silentLogger });
+    assert.deepEqual(legacy.files.slice(-2), ["src/middlewares/paginate.middleware.js", "src/utils/mongoosePaginate.util.js"]);
+    assert.equal(fs.existsSync(path.join(projectPath, "src", "utils", "mongoosePaginate.util.js")), true);
+
+    const sql = createProject(
+      makeConfig({
+        projectName: "sql-paging-app",
+        packageJsonName: "sql-paging-app",
+        database: "sqlite",
+        initAuth: false,
+        initDocker: false,
+      }),
+      runtime,
+    );
+    assert.equal(fs.existsSync(path.join(sql.projectPath, "src", "utils", "mongoosePaginate.util.js")), false);
+    assert.equal(fs.existsSync(path.join(sql.projectPath, "src", "middlewares", "paginate.middleware.js")), true);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("mounts versioned routers, forks API versions and sends deprecation headers", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({ projectName: "versioned-app", packageJsonName: "versioned-app", initDocker: false, openapi: true }),
+      runtime,
+    );
+    assert.match(readText(projectPath, "src", "app.js"), /app\.use\("\/api\/v1", apiVersion\("v1"\), createLimiter\(\), v1Router\);/);
+    assert.doesNotMatch(readText(projectPath, "src", "app.js"), /authRouter|app\.use\("\/api", limiter\)/);
+
+    await runCli({
+      argv: ["node", "bin/cli.js", "api-version", "v2", "--deprecate", "--sunset", "2027-01-01"],
+      cwd: projectPath,
+      logger: silentLogger,
+    });
+
+    assert.match(readText(projectPath, "src", "docs", "openapi.js"), /^const forkedVersions = \{ v2: "v1" \};$/m);
+    const appCode = readText(projectPath, "src", "app.js");
+    assert.match(appCode, /import v1Router from "#routes\/v1\/index\.js";\nimport v2Router from "#routes\/v2\/index\.js";/);
+    assert.match(
+      appCode,
+      /app\.use\("\/api\/v1", apiVersion\("v1"\), createLimiter\(\), v1Router\);\napp\.use\("\/api\/v2", apiVersion\("v2"\), createLimiter\(\), v2Router\);/,
+    );
+    assert.match(readText(projectPath, "src", "routes", "v2", "index.js"), /Everything served under \/api\/v2\./);
+    assert.match(readText(projectPath, "src", "routes", "v2", "index.js"), /router\.use\("\/auth", authRouter\);/);
+    // The refresh cookie is scoped to /api, so /api/v2/auth/refresh receives it without edits.
+    assert.match(readText(projectPath, "src", "utils", "authCookies.util.js"), /const REFRESH_TOKEN_PATH = "\/api";/);
+    const { apiVersions } = await importProjectFile(projectPath, "src", "routes", "versions.js");
+    assert.deepEqual(apiVersions, {
+      v1: { deprecated: new Date().toISOString().slice(0, 10), sunset: "2027-01-01", successor: "v2" },
+      v2: {},
+    });
+
+    const { openApiDocument } = await importProjectFile(projectPath, "src", "docs", "openapi.js");
+    assert.equal(openApiDocument.paths["/api/v1/auth/login"].post.deprecated, true);
+    assert.equal(openApiDocument.paths["/api/v2/auth/login"].post.deprecated, undefined);
+    assert.equal(
+      openApiDocument.paths["/api/v2/auth/login"].post.summary,
+      openApiDocument.paths["/api/v1/auth/login"].post.summary,
+    );
+
+    const { apiVersion, deprecate } = await importProjectFile(projectPath, "src", "middlewares", "apiVersion.middleware.js");
+    const collectHeaders = (middleware) => {
+      const headers = {};
+      const res = {
+        set: (name, value) => {
+          headers[name] = value;
+        },
+        append: (name, value) => {
+          headers[name] = value;
+        },
+      };
+      middleware({}, res, () => {});
+      return headers;
+    };
+
+    assert.deepEqual(collectHeaders(deprecate({ since: "2026-01-01", link: "https://example.com/changelog" })), {
+      Deprecation: "@1767225600",
+      Link: ['<https://example.com/changelog>; rel="deprecation"'],
+    });
+    assert.deepEqual(collectHeaders(apiVersion("v1")), {
+      Deprecation: `@${Math.floor(Date.parse(apiVersions.v1.deprecated) / 1000)}`,
+      Sunset: "Fri, 01 Jan 2027 00:00:00 GMT",
+      Link: ['</api/v2>; rel="successor-version"'],
+    });
+    assert.deepEqual(collectHeaders(apiVersion("v2")), {});
+    assert.throws(() => apiVersion("v7"), /"v7" is missing from src\/routes\/versions\.js/);
+    assert.throws(() => deprecate({}), /needs the date the route was deprecated/);
+    assert.throws(() => deprecate({ since: "soon" }), /since "soon" is not a valid date/);
+
+    const { mountFile, routePath } = await generateResource("product", {
+      cwd: projectPath,
+      apiVersion: "v2",
+      logger: silentLogger,
+    });
+    assert.equal(mountFile, "src/routes/v2/index.js");
+    assert.equal(routePath, "/api/v2/products");
+    assert.doesNotMatch(readText(projectPath, "src", "routes", "v1", "index.js"), /productRouter/);
+    assert.match(readText(projectPath, "tests", "product.test.js"), /\/api\/v2\/products\/not-a-valid-id/);
+
+    await assert.rejects(forkApiVersion("v2", { cwd: projectPath, logger: silentLogger }), /v2 already exists/);
+    await assert.rejects(forkApiVersion("two", { cwd: projectPath, logger: silentLogger }), /like "v2"/);
+    await assert.rejects(
+      forkApiVersion("v3", { cwd: projectPath, logger: silentLogger, sunset: "2027-01-01" }),
+      /--sunset only applies together with --deprecate/,
+    );
+    await assert.rejects(
+      generateResource("order", { cwd: projectPath, apiVersion: "v9", logger: silentLogger }),
+      /API version v9 has no router/,
+    );
+
+    assertNoTemplateTokens(projectPath);
+    assertSyntaxValid(projectPath);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("mounts route files found by the opt-in route loader and rejects colliding paths", async () => {
+  const tempRoot = createTempRoot();
+  const runtime = { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger };
+  const writeRouteFile = (directory, relativePath, routes, exports = "") => {
+    fs.mkdirSync(path.dirname(path.join(directory, relativePath)), { recursive: true });
+    fs.writeFileSync(
+      path.join(directory, relativePath),
+      `const router = (req, res, next) => next();\nrouter.stack = ${JSON.stringify(
+        routes.map(([method, routePath]) => ({ route: { path: routePath, methods: { [method]: true } } })),
+      )};\n${exports}export default router;\n`,
+    );
+  };
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "loader-app",
+        packageJsonName: "loader-app",
+        initAuth: false,
+        initDocker: false,
+        routeLoader: true,
+      }),
+      runtime,
+    );
+    const routerCode = readText(projectPath, "src", "routes", "v1", "index.js");
+
+    assert.match(routerCode, /await loadRoutes\(router, \{ prefix: "\/api\/v1", ignore: \["health\.routes\.js"\] \}\);/);
+    assert.doesNotMatch(routerCode, /healthcheckRouter/);
+    assert.match(readText(projectPath, "src", "app.js"), /app\.use\("\/api\/v1", apiVersion\("v1"\), createLimiter\(\), v1Router\);/);
+
+    const routesPath = path.join(tempRoot, "fake-routes");
+    writeRouteFile(routesPath, "users.routes.js", [["get", "/"], ["post", "/"], ["get", "/:id"]]);
+    writeRouteFile(routesPath, "product.routes.js", [["get", "/"]], 'export const basePath = "/products";\n');
+    writeRouteFile(routesPath, "admin/index.routes.js", [["get", "/stats"]], "export const middleware = (req, res, next) => next();\n");
+    writeRouteFile(routesPath, "v1/ignored.routes.js", [["get", "/"]]);
+    writeRouteFile(routesPath, "health.routes.js", [["get", "/live"]]);
+
+    const { loadRoutes } = await withEnv({ NODE_ENV: "test" }, () =>
+      importProjectFile(projectPath, "src", "utils", "routeLoader.js"),
+    );
+    const mounted = [];
+    const router = { use: (mountPath, ...handlers) => mounted.push([mountPath, handlers.length]) };
+    const routeTable = await loadRoutes(router, { prefix: "/api/v1", ignore: ["health.routes.js"], directory: routesPath });
+
+    assert.deepEqual(mounted, [
+      ["/admin", 2],
+      ["/products", 1],
+      ["/users", 1],
+    ]);
+    assert.deepEqual(
+      routeTable.map(({ method, path: routePath, file }) => `${method} ${routePath} ${file}`),
+      [
+        "GET /api/v1/admin/stats admin/index.routes.js",
+        "GET /api/v1/products product.routes.js",
+        "GET /api/v1/users users.routes.js",
+        "POST /api/v1/users users.routes.js",
+        "GET /api/v1/users/:id users.routes.js",
+      ],
+    );
+
+    writeRouteFile(routesPath, "admin/stats.routes.js", [["get", "/"]]);
+    writeRouteFile(routesPath, "people.routes.js", [["get", "/"]], 'export const basePath = "users";\n');
+    await assert.rejects(
+      loadRoutes({ use() {} }, { prefix: "/api/v1", directory: routesPath }),
+      (error) => {
+        assert.match(error.message, /GET \/api\/v1\/admin\/stats is declared in both admin\/index\.routes\.js and admin\/stats\.routes\.js/);
+        assert.match(error.message, /users\.routes\.js and people\.routes\.js are both mounted at \/api\/v1\/users/);
+        return true;
+      },
+    );
+
+    const authResult = await addFeature("auth", { cwd: projectPath, skipInstall: true, logger: silentLogger });
+    assert.equal(authResult.editedFiles.includes("src/routes/v1/index.js"), false);
+    assert.equal(readText(projectPath, "src", "routes", "v1", "index.js"), routerCode);
+
+    const resource = await generateResource("category", { cwd: projectPath, logger: silentLogger });
+    assert.equal(resource.mountFile, null);
+    assert.match(readText(projectPath, "src", "routes", "category.routes.js"), /export const basePath = '\/categories';/);
+    assert.equal(readText(projectPath, "src", "routes", "v1", "index.js"), routerCode);
+
+    assertNoTemplateTokens(projectPath);
+    assertSyntaxValid(projectPath);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("adds MongoDB auth tests with an in-memory database setup file and user factories", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const { projectPath } = createProject(
+      makeConfig({
+        projectName: "mongo-tests-app",
+        packageJsonName: "mongo-tests-app",
+        initDocker: false,
+        initAuth: false,
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+
+    assert.equal(fs.existsSync(path.join(projectPath, "jest.config.js")), false);
+
+    const authResult = await addFeature("auth", {
+      cwd: projectPath,
+      skipInstall: true,
+      logger: silentLogger,
+      secretGenerator: () => "mongo-tests-secret",
+    });
+    const authTest = readText(projectPath, "tests", "auth.test.js");
+
+    for (const relativePath of ["tests/auth.test.js", "tests/setup.js", "tests/factories/user.factory.js", "jest.config.js"]) {
+      assert.equal(authResult.files.includes(relativePath), true, relativePath);
+    }
+    assert.deepEqual(authResult.devDependencies, ["mongodb-memory-server"]);
+    assert.equal(readJson(projectPath, "package.json").devDependencies["mongodb-memory-server"], "latest");
+    assert.equal(
+      readText(projectPath, "jest.config.js"),
+      'export default {\n  testEnvironment: "node",\n  setupFilesAfterEnv: ["<rootDir>/tests/setup.js"],\n};\n',
+    );
+    assert.match(readText(projectPath, "tests", "setup.js"), /parseEnv\(fs\.readFileSync\('\.env\.test', 'utf8'\)\)/);
+    assert.match(readText(projectPath, "tests", "setup.js"), /collection\.deleteMany\(\{\}\)/);
+    for (const route of ["post('/api/v1/auth/register')", "post('/api/v1/auth/login')", "get('/api/v1/auth/profile')"]) {
+      assert.equal(authTest.includes(route), true, route);
+    }
+    assert.match(authTest, /expect\(response\.status\)\.toBe\(409\);/);
+    assert.match(authTest, /\.send\(\{ email: user\.email, password: 'wrong-password' \}\);\n\n\s+expect\(response\.status\)\.toBe\(401\);/);
+
+    // A jest.config.js that already lists setup files is left for the developer to edit.
+    fs.writeFileSync(
+      path.join(tempRoot, "jest.config.js"),
+      'export default {\n  testEnvironment: "node",\n  setupFilesAfterEnv: ["<rootDir>/tests/custom.js"],\n};\n',
+    );
+    const typed = createProject(
+      makeConfig({
+        projectName: "typed-mongo-tests-app",
+        packageJsonName: "typed-mongo-tests-app",
+        initDocker: false,
+        initAuth: false,
+        typescript: true,
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+    const typedJestConfig = readText(typed.projectPath, "jest.config.js");
+    fs.copyFileSync(path.join(tempRoot, "jest.config.js"), path.join(typed.projectPath, "jest.config.js"));
+
+    await assert.rejects(
+      addFeature("auth", { cwd: typed.projectPath, skipInstall: true, logger: silentLogger }),
+      /Add setupFilesAfterEnv: \["<rootDir>\/tests\/setup\.ts"\], to it manually\./,
+    );
+
+    fs.writeFileSync(path.join(typed.projectPath, "jest.config.js"), typedJestConfig);
+    const typedAuth = await addFeature("auth", { cwd: typed.projectPath, skipInstall: true, logger: silentLogger });
+
+    assert.equal(typedAuth.editedFiles.includes("jest.config.js"), true);
+    assert.equal(typedAuth.files.includes("tests/factories/user.factory.ts"), true);
+    assert.match(readText(typed.projectPath, "jest.config.js"), /setupFilesAfterEnv: \["<rootDir>\/tests\/setup\.ts"\],/);
+
+    assertNoTemplateTokens(projectPath);
+    assertSyntaxValid(projectPath);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+registerTest("lets projects run their tests with Jest, Vitest or node:test", async () => {
+  const tempRoot = createTempRoot();
+
+  try {
+    const vitest = createProject(
+      makeConfig({
+        projectName: "vitest-app",
+        packageJsonName: "vitest-app",
+        initDocker: false,
+        testRunner: "vitest",
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+    const vitestPackageJson = readJson(vitest.projectPath, "package.json");
+
+    assert.deepEqual(
+      [vitestPackageJson.scripts.test, vitestPackageJson.scripts["test:watch"], vitestPackageJson.scripts["test:coverage"]],
+      ["vitest run", "vitest", "vitest run --coverage"],
+    );
+    assert.equal(vitestPackageJson.devDependencies.vitest, "latest");
+    assert.equal(vitestPackageJson.devDependencies["@vitest/coverage-v8"], "latest");
+    assert.equal(vitestPackageJson.devDependencies.jest, undefined);
+    assert.equal(fs.existsSync(path.join(vitest.projectPath, "jest.config.js")), false);
+    assert.match(
+      readText(vitest.projectPath, "vitest.config.js"),
+      /test: \{\n    environment: "node",\n    setupFiles: \["\.\/tests\/setup\.js"\],\n  \},/,
+    );
+    assert.match(readText(vitest.projectPath, "tests", "healthcheck.test.js"), /^import \{ describe, expect, it \} from 'vitest';\n/);
+    assert.match(readText(vitest.projectPath, "tests", "health.test.js"), /^import \{ afterAll, describe, expect, it \} from 'vitest';\n/);
+    assert.match(readText(vitest.projectPath, "tests", "setup.js"), /^import \{ afterAll, afterEach, beforeAll \} from 'vitest';\n/);
+    assert.doesNotMatch(readText(vitest.projectPath, "tests", "factories", "user.factory.js"), /from 'vitest'/);
+
+    const nodeTest = createProject(
+      makeConfig({
+        projectName: "node-test-app",
+        packageJsonName: "node-test-app",
+        initDocker: false,
+        testRunner: "node",
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+    const nodePackageJson = readJson(nodeTest.projectPath, "package.json");
+    const nodeAuthTest = readText(nodeTest.projectPath, "tests", "auth.test.js");
+
+    assert.equal(
+      nodePackageJson.scripts.test,
+      "node --import ./tests/env.js --import ./tests/setup.js --test tests/*.test.js",
+    );
+    assert.equal(
+      nodePackageJson.scripts["test:watch"],
+      "node --import ./tests/env.js --import ./tests/setup.js --test --watch tests/*.test.js",
+    );
+    assert.equal(
+      nodePackageJson.scripts["test:coverage"],
+      "node --import ./tests/env.js --import ./tests/setup.js --test --experimental-test-coverage tests/*.test.js",
+    );
+    assert.equal(nodePackageJson.devDependencies.supertest, "latest");
+    assert.equal(nodePackageJson.devDependencies.jest, undefined);
+    assert.equal(nodePackageJson.devDependencies.vitest, undefined);
+    assert.equal(fs.existsSync(path.join(nodeTest.projectPath, "jest.config.js")), false);
+    assert.match(readText(nodeTest.projectPath, "tests", "env.js"), /process\.env\.NODE_ENV \?\?= 'test';/);
+    assert.match(readText(nodeTest.projectPath, "tests", "setup.js"), /^import \{ after, afterEach, before \} from 'node:test';\n/);
+    assert.match(readText(nodeTest.projectPath, "tests", "health.test.js"), /\nafter\(async \(\) => \{\n  await disconnectDB\(\);/);
+    assert.match(nodeAuthTest, /^import \{ describe, it \} from 'node:test';\nimport assert from 'node:assert\/strict';\n/);
+    assert.match(nodeAuthTest, /assert\.equal\(response\.status, 409\);/);
+    assert.doesNotMatch(nodeAuthTest, /expect\(/);
+
+    const resource = await generateResource("book", {
+      cwd: nodeTest.projectPath,
+      protect: true,
+      logger: silentLogger,
+    });
+    const resourceTest = readText(nodeTest.projectPath, "tests", "book.test.js");
+
+    assert.equal(resource.files.includes("tests/book.test.js"), true);
+    assert.match(resourceTest, /^import \{ describe, it \} from 'node:test';\n/);
+    assert.match(resourceTest, /assert\.equal\(response\.status, 401\);\n    assert\.equal\(response\.body\.success, false\);/);
+    assert.match(resourceTest, /for \(const \[field, value\] of Object\.entries\(sampleBook\)\) \{/);
+    assert.match(resourceTest, /assert\.equal\(lookup\.status, 404\);/);
+    assert.doesNotMatch(resourceTest, /expect\(/);
+
+    assertNoTemplateTokens(vitest.projectPath);
+    assertSyntaxValid(vitest.projectPath);
+    assertNoTemplateTokens(nodeTest.projectPath);
+    assertSyntaxValid(nodeTest.projectPath);
+
+    // Adding auth later moves a node:test project's scripts onto the in-memory database setup.
+    const laterNodeTest = createProject(
+      makeConfig({
+        projectName: "later-node-test-app",
+        packageJsonName: "later-node-test-app",
+        initDocker: false,
+        initAuth: false,
+        testRunner: "node",
+        typescript: true,
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+
+    assert.equal(readJson(laterNodeTest.projectPath, "package.json").scripts.test, "tsx --import ./tests/env.ts --test tests/*.test.ts");
+    assert.deepEqual(readJson(laterNodeTest.projectPath, "tsconfig.json").compilerOptions.types, ["node"]);
+    assert.equal(fs.existsSync(path.join(laterNodeTest.projectPath, "jest.config.js")), false);
+
+    const authResult = await addFeature("auth", { cwd: laterNodeTest.projectPath, skipInstall: true, logger: silentLogger });
+
+    assert.equal(authResult.files.includes("tests/setup.ts"), true);
+    assert.equal(
+      readJson(laterNodeTest.projectPath, "package.json").scripts.test,
+      "tsx --import ./tests/env.ts --import ./tests/setup.ts --test tests/*.test.ts",
+    );
+    assert.match(readText(laterNodeTest.projectPath, "tests", "auth.test.ts"), /from 'node:test';/);
+
+    // "add tests" takes the runner from --test-runner.
+    const untested = createProject(
+      makeConfig({
+        projectName: "untested-app",
+        packageJsonName: "untested-app",
+        initDocker: false,
+        initAuth: false,
+        initTests: false,
+        typescript: true,
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+    await withEnv({ CREATE_EXPRESS_KICKSTART_SKIP_INSTALL: "1" }, () =>
+      runCli({
+        argv: ["node", "bin/cli.js", "add", "tests", "--test-runner", "vitest"],
+        cwd: untested.projectPath,
+        logger: silentLogger,
+        questioner: { ask: () => Promise.resolve(""), close() {} },
+      }),
+    );
+
+    assert.equal(readJson(untested.projectPath, "package.json").scripts["test:watch"], "vitest");
+    assert.match(readText(untested.projectPath, "vitest.config.js"), /replacement: fileURLToPath\(new URL\("\.\/src\/\$1\.ts", import\.meta\.url\)\)/);
+    assert.doesNotMatch(readText(untested.projectPath, "vitest.config.js"), /execArgv/);
+    assert.match(readText(untested.projectPath, "tests", "healthcheck.test.ts"), /from 'vitest';/);
+    assert.equal(readJson(untested.projectPath, "tsconfig.json").compilerOptions.types.includes("jest"), false);
+
+    // Knex loads the TypeScript migrations outside Vitest, so SQL projects run it with tsx.
+    const sqlVitest = createProject(
+      makeConfig({
+        projectName: "sql-vitest-app",
+        packageJsonName: "sql-vitest-app",
+        initDocker: false,
+        database: "sqlite",
+        testRunner: "vitest",
+        typescript: true,
+      }),
+      { cwd: tempRoot, skipInstall: true, skipGit: true, logger: silentLogger },
+    );
+
+    assert.match(
+      readText(sqlVitest.projectPath, "vitest.config.js"),
+      /environment: "node",\n    \/\/ Knex imports the SQL migrations[^\n]*\n    execArgv: \["--import", "tsx"\],\n  \},/,
+    );
+
+    assert.throws(
+      () =>
+        createProject(makeConfig({ projectName: "mocha-app", testRunner: "mocha" }), {
+          cwd: tempRoot,
+          skipInstall: true,
+          skipGit: true,
+          logger: silentLogger,
+        }),
+      /Unsupported test runner "mocha"\. Use one of: jest, vitest, node\./,
+    );
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
 let passed = 0;
 
 for (const { name, fn } of tests) {